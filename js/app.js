@@ -5,7 +5,6 @@
     // Initialize game components
     let gameEngine = null;
     let uiController = null;
-    let inputHandler = null;
     let secretCode = '';
     let secretTimeout = null;
     
@@ -38,18 +37,6 @@
         uiController = new UIController(gameEngine);
         window.uiController = uiController; // Make accessible to game engine
         
-        // Initialize input handler
-        inputHandler = gameEngine.inputHandler;
-        
-        // Set up animation loop for input handling
-        function updateInputLoop() {
-            if (inputHandler) {
-                inputHandler.update();
-            }
-            requestAnimationFrame(updateInputLoop);
-        }
-        updateInputLoop();
-        
         // Set up window resize handler
         window.addEventListener('resize', handleResize);
         handleResize();
@@ -5,11 +5,44 @@ const CONFIG = {
     // Game settings
     game: {
         speed: 1.0,             // Base game speed
-        sensitivity: 1.0,        // Control sensitivity
-        difficulty: 'normal',    // 'easy', 'normal', 'hard'
+        tickRate: 120,           // Simulation steps per second of playback
+        sensitivity: 1.0,        // Control sensitivity (stick travel to change lanes, steering rate when free)
+        steering: 'lanes',       // 'lanes' snaps the ship from lane to lane, 'free' steers it across the track
+        steerSpeed: 4,           // Lanes per second crossed at full input when steering freely
+        difficulty: 'normal',    // Key of CONFIG.difficulties
         autoplay: false,         // Auto-steering
         laneCount: 3,            // Number of playable lanes
         blockFallSpeed: 0.5,     // Speed at which blocks fall onto the track
+        seed: null,              // Track generation seed (null = derived from the audio)
+        ghost: true,             // Race a ghost of the personal best (or the run picked from the score table)
+    },
+    
+    // Difficulty presets
+    difficulties: {
+        easy: {
+            name: 'Easy',
+            densityThreshold: 0.7,   // Minimum block strength (0.5+ = full-mix onsets, below = single-band onsets)
+            minBlockSpacing: 0.5,    // Minimum seconds between blocks
+            laneSwitchChance: 0.35,  // Chance the next block picks a new lane
+            speed: 0.8,              // Base speed multiplier
+            scoreMultiplier: 0.75,
+        },
+        normal: {
+            name: 'Normal',
+            densityThreshold: 0.5,
+            minBlockSpacing: 0.25,
+            laneSwitchChance: 0.6,
+            speed: 1.0,
+            scoreMultiplier: 1.0,
+        },
+        hard: {
+            name: 'Hard',
+            densityThreshold: 0.2,
+            minBlockSpacing: 0.12,
+            laneSwitchChance: 0.85,
+            speed: 1.25,
+            scoreMultiplier: 1.5,
+        },
     },
     
     // Audio analysis settings
@@ -18,6 +51,8 @@ const CONFIG = {
         smoothingTimeConstant: 0.8,
         minDecibels: -70,
         maxDecibels: -30,
+        volume: 1.0,             // Master volume (0-1)
+        latencyOffset: 0,        // Seconds between playing a sound and the player hearing it (set by calibration)
         frequencyBands: [
             { min: 20, max: 60 },      // Low bass
             { min: 60, max: 250 },     // Bass
@@ -25,7 +60,20 @@ const CONFIG = {
             { min: 500, max: 2000 },   // Mids
             { min: 2000, max: 6000 },  // High mids
             { min: 6000, max: 20000 }, // Highs
-        ]
+        ],
+        onset: {
+            medianWindow: 8,         // Frames on each side for the adaptive threshold
+            thresholdMultiplier: 1.4, // Scale applied to the moving median
+            thresholdOffset: 0.1,    // Added to the threshold, relative to the envelope peak
+            peakWindow: 1,           // Frames on each side a peak must dominate
+            minInterval: 0.1,        // Minimum seconds between onsets
+        },
+        tempo: {
+            minBpm: 60,              // Slowest tempo considered
+            maxBpm: 200,             // Fastest tempo considered
+            preferredBpm: 120,       // Centre of the tempo prior (resolves octave errors)
+            beatsPerBar: 4,          // Assumed meter for downbeats
+        }
     },
     
     // Track generation settings
@@ -35,6 +83,9 @@ const CONFIG = {
         visibleSegments: 30,     // Number of visible segments ahead
         curveIntensity: 0.8,     // How much the track curves
         hilliness: 0.6,          // How hilly the track is
+        beatSubdivision: 2,      // Blocks snap to this many steps per beat
+        leadInPoints: 10,        // Path points before the song starts
+        pointsPerSegment: 4,     // Path points per track segment
     },
     
     // Visuals settings
@@ -43,6 +94,7 @@ const CONFIG = {
         fogColor: 0x000030,
         backgroundColor: 0x000020,
         shipColor: 0x00aaff,
+        ghostColor: 0xaaddff,
         blockColors: [
             0xff0000, // Red
             0x00ff00, // Green
@@ -54,7 +106,7 @@ const CONFIG = {
         gridColor: 0x00aaff,
         bloomIntensity: 1.5,
         motionBlur: true,
-        particleCount: 1000,
+        particleCount: 5000,     // Stars in the background
     },
     
     // Scoring system
@@ -62,43 +114,206 @@ const CONFIG = {
         basePoints: 50,
         comboMultiplier: 0.1,
         maxCombo: 10,
+        comboTimeout: 2,         // Seconds without a block before the combo resets
         perfectMatch: 200,
         colorMatch: 100,
         miss: -50,
+        maxComboBonus: 50,       // End-of-track points per block of the longest combo
+        perfectMatchBonus: 200,  // End-of-track points per perfect color match
+    },
+    
+    // Letter grades by minimum accuracy (0-1), best first
+    grades: [
+        { grade: 'S', accuracy: 0.95 },
+        { grade: 'A', accuracy: 0.9 },
+        { grade: 'B', accuracy: 0.8 },
+        { grade: 'C', accuracy: 0.7 },
+        { grade: 'D', accuracy: 0 },
+    ],
+    
+    // Hit timing, measured against the playback clock
+    judgment: {
+        windows: {               // Latest a block still counts, in seconds after its time, at speed 1 (divided by the ship's speed)
+            perfect: 0.05,
+            great: 0.1,
+            good: 0.16,
+        },
+        multipliers: {           // Share of the block's points awarded
+            perfect: 1.0,
+            great: 0.75,
+            good: 0.5,
+        },
+    },
+    
+    // Latency calibration
+    calibration: {
+        clickInterval: 0.5,      // Seconds between clicks (120 BPM)
+        clicks: 20,              // Clicks in the calibration track
+        warmupClicks: 4,         // Clicks to find the beat before taps count
+        minTaps: 8,              // Taps needed to trust the measurement over the browser's figure
+        maxOffset: 0.5,          // Largest offset calibration will set, in seconds
+    },
+    
+    // Developer settings
+    debug: {
+        overlay: false,          // Timing overlay (toggle in game with F3)
     },
     
     // Mobile-specific settings
     mobile: {
-        touchSensitivity: 1.5,
+        touchScheme: 'swipe',    // 'swipe', 'halves' (tap either side) or 'zones' (touch a lane's zone)
+        touchSensitivity: 1.5,   // Scales swipe distances
+        swipeThreshold: 30,      // Pixels (after sensitivity) a swipe moves to change lanes
+        speedButtons: true,      // On-screen faster and slower buttons on touch screens
         vibrationEnabled: true,
-        performanceMode: true,   // Reduce visual effects on mobile
+        performanceMode: true,   // Fewer stars and a lower resolution on mobile
+    },
+    
+    // Local persistence settings
+    storage: {
+        databaseName: 'kuss',
+        databaseVersion: 2,
+        stores: {
+            analysis: { keyPath: 'hash' },
+            scores: { keyPath: 'id', indexes: ['track'] },
+        },
+        cacheMaxEntries: 20,             // Tracks kept in the analysis cache
+        cacheMaxBytes: 50 * 1024 * 1024, // Approximate size budget for the cache
+        highScoresPerTrack: 10,          // Scores kept per track, difficulty and seed
+        settingsKey: 'kuss-settings',    // localStorage key of the player's settings
+    },
+    
+    // Autopilot settings (autoplay, attract mode, chart verification)
+    autoplay: {
+        speed: 1.5,              // Ship speed held (more points per block, tighter timing)
+        laneChangeTime: 0.2,     // Seconds between lane changes, like a quick player
+        maxChain: 8,             // Longest color chain tracked when planning a route
+        attractDelay: 30,        // Seconds idle on the menu before a demo starts (0 = never)
+    },
+    
+    // Level editor settings
+    editor: {
+        pixelsPerSecond: 120,    // Default timeline zoom
+        minPixelsPerSecond: 20,
+        maxPixelsPerSecond: 600,
+        snapDivision: 2,         // Default snap: steps per beat
+        waveformResolution: 200, // Waveform peaks per second of audio
+    },
+    
+    // Input settings shared by keyboard, gamepad and touch
+    input: {
+        laneChangeDelay: 0.2,    // Seconds a lane change takes before the next one runs
+        laneBuffer: 2,           // Lane changes queued while one is under way (0 = drop them)
+    },
+    
+    // Mouse, pen and trackpad settings
+    pointer: {
+        steering: true,          // The ship follows the cursor across the track once the canvas is clicked
+        lock: false,             // Capture the cursor while playing (Esc releases it)
+        wheelHold: 0.3,          // Seconds a wheel notch holds the faster or slower speed
+    },
+    
+    // Gamepad configuration settings
+    gamepad: {
+        actions: {               // Remappable buttons and their labels
+            left: 'Move Left',
+            right: 'Move Right',
+            faster: 'Faster / Menu Up',
+            slower: 'Slower / Menu Down',
+            pause: 'Pause',
+            restart: 'Restart',
+            confirm: 'Menu Select',
+            back: 'Menu Back',
+        },
+        profiles: {              // Built-in profiles: action => button indices
+            standard: {          // Controllers the browser reports with the standard mapping
+                name: 'Standard Controller',
+                stickX: 0,       // Axis that steers and moves through menus
+                stickY: 1,
+                buttons: {
+                    left: [14],
+                    right: [15],
+                    faster: [12, 7],
+                    slower: [13, 6],
+                    pause: [9],
+                    restart: [8],
+                    confirm: [0],
+                    back: [1],
+                },
+            },
+            generic: {           // Best guess for controllers without it
+                name: 'Generic Controller',
+                stickX: 0,
+                stickY: 1,
+                buttons: {
+                    left: [],
+                    right: [],
+                    faster: [],
+                    slower: [],
+                    pause: [9],
+                    restart: [8],
+                    confirm: [0],
+                    back: [1],
+                },
+            },
+        },
+        customProfiles: {},      // The player's mappings by Gamepad.id (same shape)
+        maxBindings: 3,          // Buttons per action
+        deadzone: 0.1,           // Stick movement ignored around the center
+        menuRepeatDelay: 0.4,    // Seconds a direction is held before menus repeat it
+        menuRepeatRate: 0.12,    // Seconds between repeats
+        rumble: true,            // Rumble on collecting blocks and misses
+        rumbleCollect: { duration: 40, strong: 0, weak: 0.5 },   // ms and magnitudes (0-1)
+        rumbleMiss: { duration: 150, strong: 0.8, weak: 0.3 },
     },
     
     // Keyboard configuration settings
     keyboard: {
-        layouts: {
+        actions: {               // Rebindable actions and their labels
+            left: 'Move Left',
+            right: 'Move Right',
+            faster: 'Faster',
+            slower: 'Slower',
+            pause: 'Pause',
+            restart: 'Restart',
+        },
+        profiles: {              // Built-in profiles: action => KeyboardEvent.code list
             arrows: {
                 name: 'Arrow Keys',
-                left: 'ArrowLeft',
-                right: 'ArrowRight',
-                up: 'ArrowUp',
-                down: 'ArrowDown'
+                bindings: {
+                    left: ['ArrowLeft'],
+                    right: ['ArrowRight'],
+                    faster: ['ArrowUp'],
+                    slower: ['ArrowDown'],
+                    pause: ['Escape', 'KeyP'],
+                    restart: ['KeyR'],
+                },
             },
             wasd: {
                 name: 'WASD (QWERTY)',
-                left: 'KeyA',
-                right: 'KeyD',
-                up: 'KeyW',
-                down: 'KeyS'
+                bindings: {
+                    left: ['KeyA'],
+                    right: ['KeyD'],
+                    faster: ['KeyW'],
+                    slower: ['KeyS'],
+                    pause: ['Escape', 'KeyP'],
+                    restart: ['KeyR'],
+                },
             },
             zqsd: {
                 name: 'ZQSD (AZERTY)',
-                left: 'KeyQ',
-                right: 'KeyD',
-                up: 'KeyZ',
-                down: 'KeyS'
-            }
+                bindings: {
+                    left: ['KeyQ'],
+                    right: ['KeyD'],
+                    faster: ['KeyZ'],
+                    slower: ['KeyS'],
+                    pause: ['Escape', 'KeyP'],
+                    restart: ['KeyR'],
+                },
+            },
         },
-        currentLayout: 'arrows' // Default to arrow keys
+        customProfiles: {},      // The player's profiles and edits of built-in ones (same shape)
+        currentProfile: 'arrows',
+        maxBindings: 3,          // Keys per action
     }
-};
\ No newline at end of file
+};
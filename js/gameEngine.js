@@ -3,6 +3,10 @@
  */
 class GameEngine {
     constructor() {
+        // The player's stored settings apply over CONFIG before anything reads it
+        this.settings = new Settings();
+        this.settings.load();
+        
         // Core components
         this.scene = null;
         this.camera = null;
@@ -14,27 +18,49 @@ class GameEngine {
         this.trackGenerator = null;
         this.scoreManager = null;
         this.inputHandler = null;
+        this.database = null;
+        this.analysisCache = null;
+        this.highScores = null;
         this.shaderManager = null;
+        this.autopilot = null;
+        this.replayManager = null;
+        this.ghostRacer = null;
         
         // Game objects
         this.ship = null;
         this.shipModel = null;
         this.shipLight = null;
+        this.starField = null;
         
         // Game state
         this.isInitialized = false;
         this.isPlaying = false;
         this.isPaused = false;
         this.isGameOver = false;
+        this.isAutopilot = false;
+        this.isReplay = false;
         this.playerSegment = 0;
         this.playerLane = 1; // Center lane by default
-        this.playerOffset = 0;
-        this.playerSpeed = 1;
+        this.laneSince = 0; // Playback time the ship entered its lane
+        this.steering = 'lanes'; // Steering of the current run (CONFIG.game.steering)
+        this.lanePosition = 1; // Position across the track in lanes, when steering freely
+        this.prevLanePosition = 1; // lanePosition before the last simulation step
+        this.steerInput = 0; // Steering input in effect, with sensitivity applied
+        this.playerSpeed = 1; // Ship speed (0.5-1.5), scaling the points of blocks it collects
         this.targetSpeed = 1;
-        this.gameSpeed = CONFIG.game.speed;
         this.lastFrameTime = 0;
         this.deltaTime = 0;
+        this.animationFrame = null;
         this.currentTrackIndex = -1;
+        this.loadCounter = 0;
+        
+        // Fixed-step simulation, clocked by audio playback
+        this.stepTime = 1 / CONFIG.game.tickRate;
+        this.simStartTime = 0;
+        this.simSteps = 0;
+        this.simTime = 0; // Playback time simulated up to
+        this.frameSteps = 0; // Steps run in the last frame
+        this.clockSync = null; // Audio and frame clock readings when playback last (re)started
         
         // Rendering settings
         this.usePostProcessing = !this.isMobileDevice();
@@ -61,8 +87,14 @@ class GameEngine {
             this.audioProcessor = new AudioProcessor();
             this.trackGenerator = new TrackGenerator(this.scene, this.audioProcessor);
             this.scoreManager = new ScoreManager();
+            this.database = new LocalDatabase();
+            this.analysisCache = new AnalysisCache(this.database);
+            this.highScores = new HighScores(this.database);
             this.inputHandler = new InputHandler(this);
             this.shaderManager = new ShaderManager(this);
+            this.autopilot = new Autopilot(this);
+            this.replayManager = new ReplayManager(this);
+            this.ghostRacer = new GhostRacer(this);
             
             // Create player ship
             this.createShip();
@@ -127,7 +159,7 @@ class GameEngine {
         });
         
         this.renderer.setSize(container.clientWidth, container.clientHeight);
-        this.renderer.setPixelRatio(window.devicePixelRatio > 1 ? 2 : 1); // Limit pixel ratio for performance
+        this.renderer.setPixelRatio(this.getPixelRatio());
         this.renderer.shadowMap.enabled = true;
         this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
         
@@ -224,9 +256,54 @@ class GameEngine {
     }
 
     /**
-     * Create star field background
+     * Get the pixel ratio to render at
+     * @returns {number} - Pixel ratio (limited for performance)
+     */
+    getPixelRatio() {
+        if (CONFIG.mobile.performanceMode && this.isMobileDevice()) return 1;
+        return window.devicePixelRatio > 1 ? 2 : 1;
+    }
+
+    /**
+     * Apply the visual and audio settings that can change without a restart
+     */
+    applySettings() {
+        this.audioProcessor.setVolume(CONFIG.audio.volume);
+        this.renderer.setPixelRatio(this.getPixelRatio());
+        
+        // Fog and bloom ease towards their settings while playing; set them outright
+        // so the change shows at once
+        this.scene.fog.density = CONFIG.visuals.fogDensity;
+        if (this.bloomPass) {
+            this.bloomPass.strength = CONFIG.visuals.bloomIntensity;
+        }
+        
+        this.addStarField();
+        this.inputHandler.updateTouchButtons();
+        
+        // Show the change behind the menus when the game loop isn't drawing
+        if (!this.isPlaying || this.isPaused) {
+            this.render();
+        }
+    }
+
+    /**
+     * Create star field background, replacing the current one
      */
     addStarField() {
+        let starCount = CONFIG.visuals.particleCount;
+        if (CONFIG.mobile.performanceMode && this.isMobileDevice()) {
+            starCount = Math.floor(starCount / 2);
+        }
+        
+        // Keep the stars if their number didn't change
+        if (this.starField) {
+            if (this.starField.userData.count === starCount) return;
+            this.scene.remove(this.starField);
+            this.starField.geometry.dispose();
+            this.starField.material.dispose();
+        }
+        
         const starGeometry = new THREE.BufferGeometry();
         const starMaterial = new THREE.PointsMaterial({
             color: 0xffffff,
@@ -236,7 +313,6 @@ class GameEngine {
         });
         
         const starVertices = [];
-        const starCount = 5000;
         const starDistance = 300;
         
         // Create random star positions
@@ -253,8 +329,9 @@ class GameEngine {
         
         starGeometry.setAttribute('position', new THREE.Float32BufferAttribute(starVertices, 3));
         
-        const stars = new THREE.Points(starGeometry, starMaterial);
-        this.scene.add(stars);
+        this.starField = new THREE.Points(starGeometry, starMaterial);
+        this.starField.userData.count = starCount;
+        this.scene.add(this.starField);
     }
 
     /**
@@ -312,25 +389,41 @@ class GameEngine {
 
     /**
      * Reset ship to starting position
+     * @param {number} startTime - Song position to start from in seconds
      */
-    resetShipPosition() {
-        this.playerSegment = 0;
-        this.playerLane = 1; // Middle lane
-        this.playerOffset = 0;
+    resetShipPosition(startTime = 0) {
+        this.playerSegment = this.trackGenerator.getSegmentAtTime(startTime);
+        this.playerLane = this.getStartLane();
+        this.laneSince = startTime;
+        this.lanePosition = this.playerLane;
+        this.prevLanePosition = this.playerLane;
+        this.steerInput = 0;
         
         // Position on the track
-        const position = this.trackGenerator.getPositionOnTrack(this.playerSegment, this.playerLane);
+        const position = this.trackGenerator.getPositionAtTime(startTime, this.playerLane);
         this.ship.position.copy(position);
         
         // Aim ship along the track
-        const direction = this.trackGenerator.getDirectionAtSegment(this.playerSegment);
+        const direction = this.trackGenerator.getDirectionAtTime(startTime);
         this.ship.lookAt(this.ship.position.clone().add(direction));
     }
 
+    /**
+     * Get the lane runs start in
+     * @returns {number} - Middle lane (left of the middle for an even lane count)
+     */
+    getStartLane() {
+        return Math.floor((this.trackGenerator.lanes - 1) / 2);
+    }
+
     /**
      * Start a new game
+     * @param {number} startTime - Song position to start from in seconds (e.g. test-play from the editor)
+     * @param {boolean} autopilot - Let the autopilot steer (autoplay and attract mode)
+     * @param {Object} replay - Replay to play back instead of taking input (optional)
+     * @returns {boolean} - Success flag
      */
-    startGame() {
+    startGame(startTime = 0, autopilot = CONFIG.game.autoplay, replay = null) {
         if (!this.isInitialized || !this.audioProcessor.audioBuffer) {
             console.error("Cannot start game: Engine not initialized or no audio loaded");
             return false;
@@ -342,24 +435,58 @@ class GameEngine {
         this.isGameOver = false;
         this.playerSpeed = 1;
         this.targetSpeed = 1;
-        this.playerSegment = 0;
-        this.playerLane = 1;
-        this.playerOffset = 0;
         this.lastFrameTime = this.clock.getElapsedTime();
         
-        // Reset player position
-        this.resetShipPosition();
+        // A replay starts where its run started and steers the ship itself
+        this.isReplay = !!replay;
+        if (replay) {
+            startTime = replay.startTime;
+            autopilot = false;
+        }
+        
+        // The autopilot drives lane to lane; replays steer the way they were recorded
+        this.steering = replay ? replay.steering || 'lanes' : autopilot ? 'lanes' : CONFIG.game.steering;
         
-        // Reset score
-        this.scoreManager.resetScore();
+        // Reset player position and blocks collected in a previous run
+        this.resetShipPosition(startTime);
+        this.inputHandler.clearLaneQueue();
+        this.trackGenerator.resetBlocks(startTime);
+        
+        // Steps are counted from the start, so every run of a replay lands on the same step times
+        this.simStartTime = startTime;
+        this.simSteps = 0;
+        this.simTime = startTime;
+        
+        // Plan the autopilot route from the starting position
+        this.isAutopilot = autopilot;
+        if (autopilot) {
+            this.autopilot.start();
+        }
+        
+        // Reset score, scaled by the level's difficulty
+        this.scoreManager.resetScore(this.getDifficulty().scoreMultiplier);
+        
+        // Play back the replay, or record this run
+        this.replayManager.stopPlayback();
+        this.replayManager.cancelRecording();
+        if (replay) {
+            this.replayManager.startPlayback(replay);
+        } else {
+            this.replayManager.startRecording(startTime);
+        }
+        
+        // Race the chosen ghost, if it fits this run
+        this.ghostRacer.start(startTime);
         
         // Stop any previous playback and reset to beginning
         this.audioProcessor.stop();
         
         // Start audio playback
-        this.audioProcessor.play();
+        this.audioProcessor.play(startTime);
+        this.syncClocks();
         
-        // Start the game loop
+        // Start the game loop, replacing the loop of a run restarted mid-song
+        cancelAnimationFrame(this.animationFrame);
         this.gameLoop();
         
         return true;
@@ -384,6 +511,7 @@ class GameEngine {
         this.isPaused = false;
         this.lastFrameTime = this.clock.getElapsedTime();
         this.audioProcessor.resume();
+        this.syncClocks();
         this.gameLoop();
     }
 
@@ -395,6 +523,11 @@ class GameEngine {
         this.isPaused = false;
         this.isGameOver = true;
         
+        // An abandoned run leaves no replay
+        this.replayManager.cancelRecording();
+        this.replayManager.stopPlayback();
+        this.ghostRacer.stop();
+        
         // Stop audio
         this.audioProcessor.stop();
         
@@ -413,6 +546,9 @@ class GameEngine {
         this.deltaTime = currentTime - this.lastFrameTime;
         this.lastFrameTime = currentTime;
         
+        // Read held keys into steering and speed (the only per-frame input update)
+        this.inputHandler.update();
+        
         // Update game logic
         this.update();
         
@@ -420,11 +556,10 @@ class GameEngine {
         this.render();
         
         // Continue the loop
-        requestAnimationFrame(() => this.gameLoop());
+        this.animationFrame = requestAnimationFrame(() => this.gameLoop());
         
-        // Check if track is complete
-        const progress = this.audioProcessor.getPlaybackProgress();
-        if (progress >= 0.999) {
+        // Check if track is complete, on the song time the player hears
+        if (this.getSongTime() >= this.audioProcessor.audioData.duration) {
             // Game complete
             this.handleGameComplete();
         }
@@ -434,17 +569,28 @@ class GameEngine {
      * Update game logic
      */
     update() {
-        // Update ship position and lane
-        this.updateShipPosition();
+        // Catch the simulation up with the music in fixed steps, however long the frame was;
+        // it stops at the end of the song, where the run is judged
+        const songTime = this.getSongTime();
+        const simEnd = Math.min(songTime, this.audioProcessor.audioData.duration);
+        this.frameSteps = 0;
+        while (this.simStartTime + (this.simSteps + 1) * this.stepTime <= simEnd) {
+            this.simSteps++;
+            this.frameSteps++;
+            this.simTime = this.simStartTime + this.simSteps * this.stepTime;
+            this.step(this.simTime);
+        }
         
-        // Check for block collisions
-        this.checkCollisions();
+        // Draw the ships at the song time, easing their steering between steps
+        const alpha = THREE.MathUtils.clamp((songTime - this.simTime) / this.stepTime, 0, 1);
+        this.updateShipPosition(songTime, alpha);
+        this.ghostRacer.render(songTime, alpha);
         
         // Update visible track segments
         this.trackGenerator.updateTrack(this.playerSegment);
         
         // Update camera position
-        this.updateCamera();
+        this.updateCamera(songTime);
         
         // Update audio analysis
         this.updateAudioEffects();
@@ -458,6 +604,97 @@ class GameEngine {
         }
     }
 
+    /**
+     * Advance the simulation by one fixed step
+     *
+     * Everything that decides the score happens here, on playback time, so frame rate
+     * and tab throttling change only how often steps run, never their outcome.
+     * @param {number} time - Playback time at the end of the step in seconds
+     */
+    step(time) {
+        // Let the autopilot or the replay steer
+        if (this.isAutopilot) {
+            this.autopilot.update(time);
+        } else if (this.isReplay) {
+            this.replayManager.update(time);
+        } else {
+            this.inputHandler.processLaneQueue(time);
+            this.setTargetSpeed(this.inputHandler.speedInput, time);
+        }
+        
+        // Steer across the track; touching a lane's blocks counts as being in the lane
+        if (this.steering === 'free') {
+            if (!this.isReplay) {
+                this.setSteerInput(this.inputHandler.horizontalInput * CONFIG.game.sensitivity, time);
+            }
+            this.prevLanePosition = this.lanePosition;
+            this.lanePosition = this.steer(this.lanePosition, this.steerInput, this.stepTime);
+            this.setLane(this.trackGenerator.getLaneAtPosition(this.lanePosition), time);
+        }
+        
+        // The ship rides the music, so blocks are judged where it is drawn; going faster
+        // earns more points per block but narrows the judgment windows, slowing down the reverse
+        this.playerSpeed = THREE.MathUtils.lerp(this.playerSpeed, this.targetSpeed, this.stepTime * 2);
+        
+        // Check for block collisions
+        this.checkCollisions(time);
+        
+        // Move the ghost and its score along
+        this.ghostRacer.update(time, this.stepTime);
+    }
+
+    /**
+     * Get the song time the player is hearing, behind playback by the calibrated latency
+     *
+     * Simulation, input and beat effects all run on this time, so what the player sees
+     * and does lines up with what they hear.
+     * @returns {number} - Song time in seconds
+     */
+    getSongTime() {
+        return this.audioProcessor.getCurrentTime() - CONFIG.audio.latencyOffset;
+    }
+
+    /**
+     * Note the audio and frame clocks at the moment playback (re)starts
+     */
+    syncClocks() {
+        this.clockSync = {
+            audio: this.audioProcessor.getCurrentTime(),
+            frame: this.clock.getElapsedTime()
+        };
+    }
+
+    /**
+     * Get timing telemetry for the debug overlay
+     * @returns {Object} - Clock readings and drift, in seconds
+     */
+    getTelemetry() {
+        const audioTime = this.audioProcessor.getCurrentTime();
+        const songTime = this.getSongTime();
+        
+        // How far the audio clock has run from the frame clock since playback started;
+        // integrating frame times would carry this drift into the ship's position
+        let clockDrift = 0;
+        if (this.clockSync && !this.isPaused) {
+            clockDrift = (audioTime - this.clockSync.audio) -
+                (this.clock.getElapsedTime() - this.clockSync.frame);
+        }
+        
+        return {
+            audioTime,
+            songTime,
+            simTime: this.simTime,
+            stepLag: songTime - this.simTime,
+            frameSteps: this.frameSteps,
+            speed: this.playerSpeed,
+            perfectWindow: this.trackGenerator.getJudgmentWindows(this.playerSpeed).perfect,
+            clockDrift,
+            frameTime: this.deltaTime,
+            reportedLatency: this.audioProcessor.getReportedLatency(),
+            latencyOffset: CONFIG.audio.latencyOffset
+        };
+    }
+
     /**
      * Render the scene
      */
@@ -470,33 +707,22 @@ class GameEngine {
     }
 
     /**
-     * Update ship position based on player input and track
+     * Place the ship on the track at the playback time
+     * @param {number} songTime - Song time the player is hearing in seconds
+     * @param {number} alpha - How far playback is between the last step and the next (0-1)
      */
-    updateShipPosition() {
-        // Adjust player speed
-        this.playerSpeed = THREE.MathUtils.lerp(this.playerSpeed, this.targetSpeed, this.deltaTime * 2);
-        
-        // Move forward
-        this.playerOffset += this.playerSpeed * this.deltaTime * this.gameSpeed;
-        
-        // If we've moved past the current segment, advance to next segment
-        if (this.playerOffset >= 1) {
-            this.playerOffset -= 1;
-            this.playerSegment++;
-            
-            // Ensure we don't go beyond the track
-            if (this.playerSegment >= this.trackGenerator.getTrackLength()) {
-                this.playerSegment = this.trackGenerator.getTrackLength() - 1;
-                this.playerOffset = 0.99;
-            }
-        }
+    updateShipPosition(songTime, alpha) {
+        this.playerSegment = this.trackGenerator.getSegmentAtTime(songTime);
         
         // Get position on the track
-        const position = this.trackGenerator.getPositionOnTrack(this.playerSegment, this.playerLane, this.playerOffset);
+        const lane = this.steering === 'free'
+            ? THREE.MathUtils.lerp(this.prevLanePosition, this.lanePosition, alpha)
+            : this.playerLane;
+        const position = this.trackGenerator.getPositionAtTime(songTime, lane);
         this.ship.position.copy(position);
         
         // Get forward direction
-        const direction = this.trackGenerator.getDirectionAtSegment(this.playerSegment, this.playerOffset);
+        const direction = this.trackGenerator.getDirectionAtTime(songTime);
         
         // Calculate target rotation
         const targetRotation = new THREE.Quaternion().setFromUnitVectors(
@@ -513,35 +739,57 @@ class GameEngine {
     }
 
     /**
-     * Check for collisions with blocks
+     * Judge blocks whose time has come against the playback clock
+     * @param {number} time - Playback time to judge up to (defaults to now)
+     * @param {boolean} final - The song ended at this time, so blocks still in their window are missed
      */
-    checkCollisions() {
-        const collision = this.trackGenerator.checkBlockCollision(this.playerSegment, this.playerLane);
+    checkCollisions(time = this.getSongTime(), final = false) {
+        // Kept to the hundredth, as replays store it for the ghost
+        const speed = Math.round(this.playerSpeed * 100) / 100;
+        const judged = this.trackGenerator.judgeBlocks(time, this.playerLane, this.laneSince, speed, final);
         
-        if (collision) {
+        for (const result of judged) {
+            this.replayManager.recordEvent(result.time, result.index, result.judgment, speed);
+            
+            if (window.uiController) {
+                window.uiController.showJudgment(result.judgment);
+            }
+            
+            if (result.judgment === 'miss') {
+                this.scoreManager.addMiss();
+                this.showMissEffect(this.trackGenerator.blocks[result.index]);
+                this.inputHandler.rumble(CONFIG.gamepad.rumbleMiss);
+                continue;
+            }
+            
             // Get the color index of the collected block
-            const colorIndex = CONFIG.visuals.blockColors.indexOf(collision.color);
+            const colorIndex = CONFIG.visuals.blockColors.indexOf(result.color);
             
             // Update score
-            this.scoreManager.addBlock(colorIndex);
+            this.scoreManager.addBlock(colorIndex, result.judgment, result.time, speed);
             
             // Visual feedback
-            this.showCollectionEffect(collision.color);
+            this.showCollectionEffect(result.color);
             
             // Vibration feedback on mobile
             if (CONFIG.mobile.vibrationEnabled && 'vibrate' in navigator) {
                 navigator.vibrate(50);
             }
+            this.inputHandler.rumble(CONFIG.gamepad.rumbleCollect);
         }
+        
+        // Combos run out on song time, once the hits up to now are counted
+        this.scoreManager.updateCombo(time);
     }
 
     /**
      * Update camera position and orientation
+     * @param {number} songTime - Song time the ship is drawn at in seconds
      */
-    updateCamera() {
+    updateCamera(songTime) {
         // Get player position and direction
         const playerPos = this.ship.position.clone();
-        const playerDir = this.trackGenerator.getDirectionAtSegment(this.playerSegment, this.playerOffset);
+        const playerDir = this.trackGenerator.getDirectionAtTime(songTime);
         
         // Calculate camera position behind the ship
         const cameraOffset = playerDir.clone().multiplyScalar(-6).add(new THREE.Vector3(0, 2.5, 0));
@@ -559,7 +807,7 @@ class GameEngine {
      * Update audio-reactive effects
      */
     updateAudioEffects() {
-        if (!this.audioProcessor.isAnalysisDone) return;
+        if (!this.audioProcessor.analysisDone) return;
         
         // Get real-time audio analysis
         const analysis = this.audioProcessor.updateAnalysis();
@@ -585,14 +833,23 @@ class GameEngine {
             const beatIntensity = analysis.beatIntensity;
             this.bloomPass.strength = THREE.MathUtils.lerp(
                 this.bloomPass.strength,
-                CONFIG.visuals.bloomIntensity * (1 + beatIntensity * 0.5),
+                CONFIG.visuals.bloomIntensity * (1 + beatIntensity * 0.3 + this.getBeatPulse() * 0.4),
                 this.deltaTime * 5
             );
         }
+    }
+
+    /**
+     * Get a pulse that peaks on each beat of the estimated beat grid
+     * @returns {number} - Pulse strength (0-1), stronger on downbeats
+     */
+    getBeatPulse() {
+        const beat = this.audioProcessor.getBeatInfo(this.getSongTime());
+        if (!beat) return 0;
         
-        // Adjust game speed based on intensity
-        const targetGameSpeed = CONFIG.game.speed * (1 + analysis.beatIntensity * 0.2);
-        this.gameSpeed = THREE.MathUtils.lerp(this.gameSpeed, targetGameSpeed, this.deltaTime * 2);
+        // Sharp attack on the beat, exponential decay until the next one
+        const pulse = Math.exp(-beat.phase * 6);
+        return beat.isDownbeat ? pulse : pulse * 0.6;
     }
 
     /**
@@ -600,10 +857,10 @@ class GameEngine {
      */
     updateShipVisuals() {
         // Pulse ship light based on music
-        if (this.shipLight && this.audioProcessor.isAnalysisDone) {
+        if (this.shipLight && this.audioProcessor.analysisDone) {
             const analysis = this.audioProcessor.updateAnalysis();
             if (analysis) {
-                const intensity = 1 + analysis.beatIntensity * 1.5;
+                const intensity = 1 + analysis.beatIntensity * 0.75 + this.getBeatPulse() * 1.5;
                 this.shipLight.intensity = intensity;
             }
         }
@@ -613,6 +870,8 @@ class GameEngine {
         if (uiController) {
             uiController.updateScore(this.scoreManager.getScore());
             uiController.updateMultiplier(this.scoreManager.getMultiplier());
+            uiController.updateGhostDelta(this.ghostRacer.getScoreDelta());
+            uiController.updateDebugOverlay();
             uiController.updateProgressBar(this.audioProcessor.getPlaybackProgress());
         }
     }
@@ -641,16 +900,90 @@ class GameEngine {
         animate();
     }
 
+    /**
+     * Shatter a missed block into fading shards
+     * @param {Object} block - Missed block from TrackGenerator.blocks
+     */
+    showMissEffect(block) {
+        if (!block.mesh) return;
+        
+        const origin = block.mesh.position.clone();
+        const geometry = new THREE.BoxGeometry(0.5, 0.5, 0.5);
+        const material = new THREE.MeshStandardMaterial({
+            color: block.color,
+            emissive: block.color,
+            emissiveIntensity: 0.3,
+            transparent: true,
+            opacity: 0.8
+        });
+        
+        // Scatter shards outwards and up from the block
+        const shards = [];
+        for (let i = 0; i < 8; i++) {
+            const shard = new THREE.Mesh(geometry, material);
+            shard.position.copy(origin);
+            shard.userData.velocity = new THREE.Vector3(
+                (Math.random() - 0.5) * 6,
+                Math.random() * 4,
+                (Math.random() - 0.5) * 6
+            );
+            this.scene.add(shard);
+            shards.push(shard);
+        }
+        
+        // Let the shards fall and fade, then clean up
+        const duration = 0.6;
+        const startTime = this.clock.getElapsedTime();
+        let lastTime = startTime;
+        const animate = () => {
+            const now = this.clock.getElapsedTime();
+            const elapsed = now - startTime;
+            const delta = now - lastTime;
+            lastTime = now;
+            
+            if (elapsed < duration) {
+                for (const shard of shards) {
+                    shard.userData.velocity.y -= 9.8 * delta;
+                    shard.position.addScaledVector(shard.userData.velocity, delta);
+                    shard.rotation.x += delta * 5;
+                    shard.rotation.y += delta * 3;
+                }
+                material.opacity = 0.8 * (1 - elapsed / duration);
+                requestAnimationFrame(animate);
+            } else {
+                shards.forEach(shard => this.scene.remove(shard));
+                geometry.dispose();
+                material.dispose();
+            }
+        };
+        animate();
+    }
+
     /**
      * Handle completion of the track
      */
     handleGameComplete() {
+        // Judge the blocks up to the end of the song; any after it were never reached
+        this.checkCollisions(this.audioProcessor.audioData.duration, true);
+        
         this.isPlaying = false;
         this.isGameOver = true;
         
         // Calculate final score
         const finalScore = this.scoreManager.getFinalScore();
         
+        // Keep the run as a replay, or check a replay reproduced its run
+        if (this.isReplay) {
+            const replay = this.replayManager.playback;
+            if (replay && replay.score !== finalScore) {
+                console.warn(`Replay diverged: recorded ${replay.score}, played back ${finalScore}`);
+            }
+            this.replayManager.stopPlayback();
+        } else {
+            this.replayManager.finishRecording(finalScore);
+        }
+        this.ghostRacer.stop();
+        
         // Trigger game over UI
         const uiController = window.uiController;
         if (uiController) {
@@ -661,22 +994,82 @@ class GameEngine {
     /**
      * Move player to a different lane
      * @param {number} direction - Direction (-1 for left, 1 for right)
+     * @param {number} time - Playback time of the change in seconds (defaults to now)
+     * @param {number} inputTime - Playback time of the input, if it waited in the lane change queue
      */
-    changeLane(direction) {
+    changeLane(direction, time = this.getSongTime(), inputTime = time) {
         const newLane = this.playerLane + direction;
         
         // Check lane bounds
         if (newLane >= 0 && newLane < this.trackGenerator.lanes) {
-            this.playerLane = newLane;
+            this.setLane(newLane, time, inputTime);
         }
     }
 
+    /**
+     * Put the ship in a lane at a playback time
+     * @param {number} lane - Lane index
+     * @param {number} time - Playback time of the change in seconds
+     * @param {number} inputTime - Playback time of the input, if it waited in the lane change queue
+     */
+    setLane(lane, time, inputTime = time) {
+        if (lane === this.playerLane) return;
+        
+        // Times are kept to the millisecond, as replays store them
+        time = Math.round(time * 1000) / 1000;
+        
+        // Settle the blocks the lane being left could still catch
+        if (this.isPlaying) {
+            this.checkCollisions(time);
+        }
+        
+        this.playerLane = lane;
+        this.laneSince = time;
+        
+        // Free steering replays its steering input instead
+        if (this.steering === 'lanes') {
+            this.replayManager.recordInput(time, 'lane', lane, inputTime);
+        }
+    }
+
+    /**
+     * Set the steering input of free steering
+     * @param {number} input - Steering input with sensitivity applied (-2 to 2, positive steers right)
+     * @param {number} time - Playback time of the step it takes effect in
+     */
+    setSteerInput(input, time) {
+        // Coarse steps keep replays small
+        const steerInput = Math.round(THREE.MathUtils.clamp(input, -2, 2) * 20) / 20;
+        if (steerInput === this.steerInput) return;
+        
+        this.steerInput = steerInput;
+        this.replayManager.recordInput(time, 'steer', steerInput);
+    }
+
+    /**
+     * Move a freely steered ship across the track for one step
+     * @param {number} lanePosition - Position across the track in lanes
+     * @param {number} input - Steering input (positive steers right)
+     * @param {number} stepTime - Length of the step in seconds
+     * @returns {number} - New position, kept between the outer lanes
+     */
+    steer(lanePosition, input, stepTime) {
+        // Lane indices grow towards the ship's left
+        const moved = lanePosition - input * CONFIG.game.steerSpeed * stepTime;
+        return THREE.MathUtils.clamp(moved, 0, this.trackGenerator.lanes - 1);
+    }
+
     /**
      * Set target ship speed
-     * @param {number} speed - Target speed (0-1)
+     * @param {number} speed - Target speed (0.5-1.5)
+     * @param {number} time - Playback time of the change in seconds (a simulation step, so replays match)
      */
-    setTargetSpeed(speed) {
-        this.targetSpeed = THREE.MathUtils.clamp(speed, 0.5, 1.5);
+    setTargetSpeed(speed, time = this.getSongTime()) {
+        const targetSpeed = THREE.MathUtils.clamp(speed, 0.5, 1.5);
+        if (targetSpeed === this.targetSpeed) return;
+        
+        this.targetSpeed = targetSpeed;
+        this.replayManager.recordInput(time, 'speed', targetSpeed);
     }
 
     /**
@@ -686,6 +1079,18 @@ class GameEngine {
      */
     loadTrack(audioFile) {
         return new Promise((resolve, reject) => {
+            const loadId = ++this.loadCounter;
+            let cacheEntry = null;
+            
+            // Stop here if another file was picked in the meantime
+            const ensureCurrentLoad = () => {
+                if (loadId !== this.loadCounter) {
+                    const error = new Error("Load superseded by another file");
+                    error.name = 'AbortError';
+                    throw error;
+                }
+            };
+            
             // Show loading screen
             if (window.uiController) {
                 window.uiController.showLoadingScreen('Loading track...');
@@ -693,7 +1098,17 @@ class GameEngine {
             
             // First load the audio file
             this.audioProcessor.loadAudioFile(audioFile)
-                .then(audioData => {
+                .then(audioData => this.analysisCache.get(audioData.hash))
+                .then(entry => {
+                    ensureCurrentLoad();
+                    
+                    // Reuse the stored analysis when this exact file was seen before
+                    if (entry) {
+                        cacheEntry = entry;
+                        this.audioProcessor.useCachedAnalysis(entry.analysis, entry.beatGrid);
+                        return { analysisResults: entry.analysis, beatGrid: entry.beatGrid };
+                    }
+                    
                     // Set up analysis callbacks
                     this.audioProcessor.setAnalysisProgressCallback(progress => {
                         const uiController = window.uiController;
@@ -702,17 +1117,43 @@ class GameEngine {
                         }
                     });
                     
-                    // Analyze the audio file
+                    // Analyze the audio file (can be cancelled from the loading screen)
+                    if (window.uiController) {
+                        window.uiController.showLoadingScreen('Analyzing track...', true);
+                    }
                     return this.audioProcessor.analyzeAudio();
                 })
-                .then(analysisResults => {
+                .then(({ analysisResults, beatGrid }) => {
+                    ensureCurrentLoad();
+                    
                     // Update loading message
                     if (window.uiController) {
                         window.uiController.showLoadingScreen('Generating track...');
                     }
                     
-                    // Generate the track from analysis results
-                    const trackInfo = this.trackGenerator.generateTrack(analysisResults);
+                    // Rebuild the cached chart when it was made with the current level
+                    // settings, otherwise generate the track from analysis results
+                    const seed = this.getTrackSeed();
+                    const difficulty = CONFIG.game.difficulty;
+                    const hash = this.audioProcessor.audioData.hash;
+                    const cachedChart = cacheEntry && cacheEntry.chart && this.isChartCurrent(cacheEntry.chart)
+                        ? cacheEntry.chart
+                        : null;
+                    const trackInfo = cachedChart
+                        ? this.trackGenerator.loadChart(cachedChart)
+                        : this.trackGenerator.generateTrack(analysisResults, beatGrid, seed, difficulty);
+                    
+                    // Remember the analysis and chart for next time
+                    if (!cacheEntry) {
+                        this.analysisCache.put(hash, {
+                            fileName: this.audioProcessor.audioData.fileName,
+                            analysisResults,
+                            beatGrid,
+                            chart: this.trackGenerator.chart
+                        });
+                    } else if (!cachedChart) {
+                        this.analysisCache.updateChart(hash, this.trackGenerator.chart);
+                    }
                     
                     // Reset player and camera positions
                     this.resetShipPosition();
@@ -725,11 +1166,16 @@ class GameEngine {
                     resolve({
                         trackInfo,
                         duration: this.audioProcessor.audioData.duration,
-                        fileName: this.audioProcessor.audioData.fileName
+                        fileName: this.audioProcessor.audioData.fileName,
+                        bpm: beatGrid ? beatGrid.bpm : null,
+                        seed,
+                        difficulty,
+                        cached: !!cacheEntry
                     });
                 })
                 .catch(error => {
-                    if (window.uiController) {
+                    // A cancelled load leaves the overlay to whoever cancelled it
+                    if (window.uiController && error.name !== 'AbortError') {
                         window.uiController.hideLoadingScreen();
                     }
                     reject(error);
@@ -737,6 +1183,123 @@ class GameEngine {
         });
     }
 
+    /**
+     * Get the seed used to generate the loaded track
+     * @returns {number} - The configured seed, or one derived from the audio hash
+     */
+    getTrackSeed() {
+        if (CONFIG.game.seed !== null) {
+            return CONFIG.game.seed;
+        }
+        return SeededRandom.hashString(this.audioProcessor.audioData.hash);
+    }
+
+    /**
+     * Get the difficulty preset of the loaded level
+     * @returns {Object} - Entry of CONFIG.difficulties
+     */
+    getDifficulty() {
+        return CONFIG.difficulties[this.trackGenerator.difficulty] || CONFIG.difficulties.normal;
+    }
+
+    /**
+     * Check whether a chart was generated with the current level settings
+     * @param {Object} chart - Chart object
+     * @returns {boolean} - True if seed, difficulty, lane count and game speed match
+     */
+    isChartCurrent(chart) {
+        return chart.seed === this.getTrackSeed() &&
+            chart.difficulty === CONFIG.game.difficulty &&
+            chart.lanes === CONFIG.game.laneCount &&
+            (chart.speed || 1) === CONFIG.game.speed;
+    }
+
+    /**
+     * Rebuild the loaded track, e.g. after the seed, difficulty, lane count or speed setting changed
+     * @returns {Object|null} - Track info, or null if no track is loaded
+     */
+    regenerateTrack() {
+        if (!this.audioProcessor.analysisDone || this.isPlaying) return null;
+        if (this.trackGenerator.chart && this.isChartCurrent(this.trackGenerator.chart)) return null;
+        
+        const seed = this.getTrackSeed();
+        const difficulty = CONFIG.game.difficulty;
+        
+        const trackInfo = this.trackGenerator.generateTrack(
+            this.audioProcessor.analysisResults,
+            this.audioProcessor.beatGrid,
+            seed,
+            difficulty
+        );
+        this.analysisCache.updateChart(this.audioProcessor.audioData.hash, this.trackGenerator.chart);
+        this.resetShipPosition();
+        
+        return trackInfo;
+    }
+
+    /**
+     * Identify the loaded level for the high score table
+     * @returns {Object|null} - {hash, fileName, difficulty, seed, chart}, or null if no track is loaded
+     */
+    getScoreTrack() {
+        const chart = this.trackGenerator.chart;
+        if (!chart || !this.audioProcessor.analysisDone) return null;
+        
+        return {
+            hash: this.audioProcessor.audioData.hash,
+            fileName: this.audioProcessor.audioData.fileName,
+            difficulty: this.trackGenerator.difficulty,
+            seed: this.trackGenerator.seed,
+            chart: this.replayManager.getChartHash(chart)
+        };
+    }
+
+    /**
+     * Get the chart of the loaded track, tagged with the audio it belongs to
+     * @returns {Object|null} - Chart, or null if no track is loaded
+     */
+    getChart() {
+        const chart = this.trackGenerator.chart;
+        if (!chart || !this.audioProcessor.analysisDone) return null;
+        
+        const audioData = this.audioProcessor.audioData;
+        return Object.assign({}, chart, {
+            audio: {
+                hash: audioData.hash,
+                fileName: audioData.fileName,
+                duration: Math.round(audioData.duration * 1000) / 1000
+            }
+        });
+    }
+
+    /**
+     * Replace the loaded track with a chart, skipping generation
+     * @param {Object} chart - Validated chart
+     * @returns {Object|null} - Track info, or null if no track is loaded
+     */
+    loadChart(chart) {
+        if (!this.audioProcessor.analysisDone || this.isPlaying) return null;
+        
+        const trackInfo = this.trackGenerator.loadChart(chart);
+        
+        // Keep the imported chart for this audio file, without the audio tag
+        const storedChart = Object.assign({}, chart);
+        delete storedChart.audio;
+        this.analysisCache.updateChart(this.audioProcessor.audioData.hash, storedChart);
+        this.resetShipPosition();
+        
+        return trackInfo;
+    }
+
+    /**
+     * Cancel the track analysis in progress, if any
+     */
+    cancelLoading() {
+        // Invalidate the load in progress, whichever step it is at
+        this.loadCounter++;
+        this.audioProcessor.cancelAnalysis();
+    }
+
     /**
      * Detect if running on a mobile device
      * @returns {boolean} - True if mobile device
@@ -0,0 +1,147 @@
+/**
+ * AnalysisCache - Persists compact track analysis and generated charts per audio file
+ */
+class AnalysisCache {
+    /**
+     * @param {LocalDatabase} database - Shared game database
+     */
+    constructor(database) {
+        this.database = database;
+        this.storeName = 'analysis';
+        this.maxEntries = CONFIG.storage.cacheMaxEntries;
+        this.maxBytes = CONFIG.storage.cacheMaxBytes;
+    }
+
+    /**
+     * Look up a cached entry and mark it as recently used
+     * @param {string} hash - Audio content hash
+     * @returns {Promise} - Resolves with the entry or null
+     */
+    get(hash) {
+        return this.database.get(this.storeName, hash)
+            .then(entry => {
+                if (!entry) return null;
+
+                entry.lastAccess = Date.now();
+                this.database.put(this.storeName, entry).catch(() => {});
+                return entry;
+            })
+            .catch(error => {
+                console.warn("Analysis cache unavailable:", error);
+                return null;
+            });
+    }
+
+    /**
+     * Store analysis and chart for a track, evicting old entries past the limits
+     * @param {string} hash - Audio content hash
+     * @param {Object} data - {fileName, analysisResults, beatGrid, chart}
+     * @returns {Promise} - Resolves when stored (never rejects)
+     */
+    put(hash, data) {
+        const entry = {
+            hash,
+            fileName: data.fileName,
+            analysis: this.compactAnalysis(data.analysisResults),
+            beatGrid: data.beatGrid,
+            chart: data.chart,
+            savedAt: Date.now(),
+            lastAccess: Date.now()
+        };
+        entry.size = JSON.stringify(entry).length;
+
+        // A single entry larger than the whole budget is not worth keeping
+        if (entry.size > this.maxBytes) {
+            return Promise.resolve();
+        }
+
+        return this.database.put(this.storeName, entry)
+            .then(() => this.enforceLimits())
+            .catch(error => {
+                console.warn("Failed to cache track analysis:", error);
+            });
+    }
+
+    /**
+     * Replace the stored chart of a cached track
+     * @param {string} hash - Audio content hash
+     * @param {Object} chart - Generated or imported chart
+     * @returns {Promise} - Resolves when stored (never rejects)
+     */
+    updateChart(hash, chart) {
+        return this.database.get(this.storeName, hash)
+            .then(entry => {
+                if (!entry) return;
+                entry.chart = chart;
+                delete entry.size;
+                entry.size = JSON.stringify(entry).length;
+                return this.database.put(this.storeName, entry);
+            })
+            .catch(error => {
+                console.warn("Failed to update cached chart:", error);
+            });
+    }
+
+    /**
+     * Strip the raw spectrum arrays, keeping only what track generation needs
+     * @param {Array} analysisResults - Full analysis results
+     * @returns {Array} - Compact analysis results
+     */
+    compactAnalysis(analysisResults) {
+        const round = value => Math.round(value * 1000) / 1000;
+
+        return analysisResults.map(result => ({
+            time: round(result.time),
+            amplitude: round(result.amplitude),
+            bandEnergies: result.bandEnergies.map(round),
+            beatIntensity: round(result.beatIntensity),
+            onsetStrengths: result.onsetStrengths.map(round),
+            onsetStrength: round(result.onsetStrength),
+            isBlock: result.isBlock,
+            blockColor: result.blockColor
+        }));
+    }
+
+    /**
+     * Evict least recently used entries until within the count and size limits
+     * @returns {Promise} - Resolves when done
+     */
+    enforceLimits() {
+        return this.database.getAll(this.storeName).then(entries => {
+            entries.sort((a, b) => b.lastAccess - a.lastAccess);
+
+            let totalBytes = 0;
+            const evictions = [];
+            entries.forEach((entry, index) => {
+                if (index >= this.maxEntries || totalBytes + entry.size > this.maxBytes) {
+                    evictions.push(this.database.delete(this.storeName, entry.hash));
+                } else {
+                    totalBytes += entry.size;
+                }
+            });
+
+            return Promise.all(evictions);
+        });
+    }
+
+    /**
+     * Get cache usage
+     * @returns {Promise} - Resolves with {entries, bytes}
+     */
+    getUsage() {
+        return this.database.getAll(this.storeName)
+            .then(entries => ({
+                entries: entries.length,
+                bytes: entries.reduce((sum, entry) => sum + entry.size, 0)
+            }))
+            .catch(() => ({ entries: 0, bytes: 0 }));
+    }
+
+    /**
+     * Remove every cached track
+     * @returns {Promise} - Resolves when cleared
+     */
+    clear() {
+        return this.database.clear(this.storeName);
+    }
+}
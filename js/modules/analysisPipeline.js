@@ -0,0 +1,131 @@
+/**
+ * AnalysisPipeline - Incremental track analysis over decoded PCM channels
+ *
+ * Runs unchanged inside the analysis worker and, as a fallback, on the main thread.
+ */
+class AnalysisPipeline {
+    /**
+     * @param {Array} channels - Float32Array PCM data for each channel
+     * @param {number} sampleRate - Sample rate of the PCM data
+     * @param {number} resolution - Number of analysis points per second
+     */
+    constructor(channels, sampleRate, resolution) {
+        this.sampleRate = sampleRate;
+        this.resolution = resolution;
+        this.samples = this.downmix(channels);
+        this.totalPoints = Math.floor(this.samples.length / sampleRate * resolution);
+        this.currentPoint = 0;
+        this.analysisResults = [];
+        this.fluxFrames = [];
+        this.spectralAnalyzer = new SpectralAnalyzer(sampleRate);
+        this.onsetDetector = new OnsetDetector(sampleRate, this.spectralAnalyzer.binCount);
+    }
+
+    /**
+     * Mix all channels down to mono, as AnalyserNode does
+     * @param {Array} channels - Float32Array PCM data for each channel
+     * @returns {Float32Array} - Mono samples
+     */
+    downmix(channels) {
+        if (channels.length === 1) {
+            return channels[0];
+        }
+
+        const mono = new Float32Array(channels[0].length);
+        for (const channel of channels) {
+            for (let i = 0; i < mono.length; i++) {
+                mono[i] += channel[i] / channels.length;
+            }
+        }
+        return mono;
+    }
+
+    /**
+     * Analyze the next batch of points
+     * @param {number} count - Maximum number of points to analyze
+     * @returns {number} - Progress (0-1)
+     */
+    processNext(count) {
+        const interval = 1 / this.resolution;
+        const end = Math.min(this.totalPoints, this.currentPoint + count);
+
+        for (; this.currentPoint < end; this.currentPoint++) {
+            // Each point looks at the audio up to the end of its interval
+            const time = this.currentPoint * interval;
+            const endIndex = Math.min(this.samples.length, Math.round((time + interval) * this.sampleRate));
+            const { frequencyData, timeData } = this.spectralAnalyzer.analyze(this.samples, endIndex);
+
+            // Calculate band energies
+            const bandEnergies = SpectralAnalyzer.calculateBandEnergies(frequencyData, this.sampleRate);
+
+            // Average waveform amplitude (0-1)
+            let amplitude = 0;
+            for (let i = 0; i < timeData.length; i++) {
+                amplitude += Math.abs(timeData[i] - 128);
+            }
+            amplitude /= timeData.length * 128;
+
+            // Spectral flux per band (onsets are picked once all frames are known)
+            this.fluxFrames.push(this.onsetDetector.computeFlux(frequencyData));
+
+            this.analysisResults.push({
+                time,
+                frequencyData,
+                timeData,
+                amplitude,
+                bandEnergies,
+                beatIntensity: 0,
+                onsetStrengths: [],
+                isBlock: false,
+                blockColor: SpectralAnalyzer.determineBlockColor(bandEnergies),
+            });
+        }
+
+        return this.totalPoints > 0 ? this.currentPoint / this.totalPoints : 1;
+    }
+
+    /**
+     * Check whether every point has been analyzed
+     * @returns {boolean} - True when complete
+     */
+    isComplete() {
+        return this.currentPoint >= this.totalPoints;
+    }
+
+    /**
+     * Run onset detection and tempo estimation over the analyzed points
+     * @returns {Object} - {analysisResults, beatGrid}
+     */
+    finish() {
+        const onsets = this.onsetDetector.detectOnsets(this.fluxFrames, this.resolution);
+
+        for (let i = 0; i < this.analysisResults.length; i++) {
+            const result = this.analysisResults[i];
+            const onset = onsets[i];
+
+            result.bandFlux = this.fluxFrames[i];
+            result.onsetStrengths = onset.onsetStrengths;
+            result.onsetStrength = onset.onsetStrength;
+            result.beatIntensity = onset.strength;
+            result.isBlock = onset.isOnset;  // Blocks land on detected attacks
+        }
+
+        return {
+            analysisResults: this.analysisResults,
+            beatGrid: this.estimateTempo()
+        };
+    }
+
+    /**
+     * Estimate tempo and the beat grid from the onset envelope
+     * @returns {Object|null} - Beat grid or null if no tempo was found
+     */
+    estimateTempo() {
+        const envelope = this.analysisResults.map(result => result.beatIntensity);
+
+        // Bass attacks mark bar starts more reliably than the full mix
+        const accentEnvelope = this.analysisResults.map(result => result.bandFlux[0] + result.bandFlux[1]);
+
+        return new TempoEstimator().estimate(envelope, this.resolution, accentEnvelope);
+    }
+}
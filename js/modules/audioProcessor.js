@@ -12,6 +12,7 @@ class AudioProcessor {
             duration: 0,
             sampleRate: 0,
             fileName: "",
+            hash: "",
             isPlaying: false,
             startTime: 0,
             currentTime: 0,
@@ -19,6 +20,12 @@ class AudioProcessor {
         this.frequencyData = null;
         this.timeData = null;
         this.analysisResults = [];
+        this.onsetDetector = null;
+        this.beatGrid = null;
+        this.analysisTask = null;
+        this.loadCounter = 0;
+        this.workerUrl = 'js/workers/analysisWorker.js';
+        this.lastRealtimeAnalysis = null;
         this.isInitialized = false;
         this.analysisDone = false;
         this.onAnalysisProgressCallback = null;
@@ -45,9 +52,12 @@ class AudioProcessor {
             this.frequencyData = new Uint8Array(this.analyzer.frequencyBinCount);
             this.timeData = new Uint8Array(this.analyzer.frequencyBinCount);
             
+            // Create real-time onset detector
+            this.onsetDetector = new OnsetDetector(this.audioContext.sampleRate, this.analyzer.frequencyBinCount);
+            
             // Create gain node for volume control
             this.gainNode = this.audioContext.createGain();
-            this.gainNode.gain.value = 1.0;
+            this.gainNode.gain.value = CONFIG.audio.volume;
             
             // Connect nodes
             this.gainNode.connect(this.audioContext.destination);
@@ -61,6 +71,19 @@ class AudioProcessor {
         }
     }
 
+    /**
+     * Make sure the audio context exists and is running, for sounds played before any track is loaded
+     * @returns {boolean} - True if the context is ready
+     */
+    ensureContext() {
+        if (!this.isInitialized && !this.init()) {
+            return false;
+        }
+        
+        this.audioContext.resume();
+        return true;
+    }
+
     /**
      * Load an audio file
      * @param {File} file - The audio file to load
@@ -75,25 +98,44 @@ class AudioProcessor {
                 }
             }
 
+            // A new file supersedes any load or analysis still in progress
+            this.cancelAnalysis();
+            const loadId = ++this.loadCounter;
+
             const fileReader = new FileReader();
             
             fileReader.onload = async (event) => {
                 try {
-                    // Decode audio data
+                    // Hash the file before decoding detaches its buffer
                     const arrayBuffer = event.target.result;
-                    this.audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
+                    const hash = await this.hashAudioData(arrayBuffer);
+                    
+                    // Decode audio data
+                    const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
+                    
+                    if (loadId !== this.loadCounter) {
+                        const error = new Error("Load superseded by another file");
+                        error.name = 'AbortError';
+                        throw error;
+                    }
+                    this.audioBuffer = audioBuffer;
                     
                     // Set audio data
                     this.audioData.duration = this.audioBuffer.duration;
                     this.audioData.sampleRate = this.audioBuffer.sampleRate;
                     this.audioData.fileName = file.name;
+                    this.audioData.hash = hash;
                     
                     // Reset analysis state
                     this.analysisDone = false;
                     this.analysisResults = [];
+                    this.beatGrid = null;
+                    this.lastRealtimeAnalysis = null;
+                    this.onsetDetector.reset();
                     
                     resolve({
                         fileName: file.name,
+                        hash,
                         duration: this.audioBuffer.duration,
                         sampleRate: this.audioBuffer.sampleRate
                     });
@@ -110,9 +152,45 @@ class AudioProcessor {
         });
     }
 
+    /**
+     * Hash the raw file bytes to identify a track independently of its name
+     * @param {ArrayBuffer} arrayBuffer - Encoded audio file contents
+     * @returns {Promise} - Resolves with a hex digest
+     */
+    hashAudioData(arrayBuffer) {
+        const toHex = bytes => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+        
+        if (window.crypto && window.crypto.subtle) {
+            return window.crypto.subtle.digest('SHA-256', arrayBuffer)
+                .then(digest => toHex(new Uint8Array(digest)));
+        }
+        
+        // Insecure contexts have no SubtleCrypto; fall back to 32-bit FNV-1a
+        const bytes = new Uint8Array(arrayBuffer);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < bytes.length; i++) {
+            hash ^= bytes[i];
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return Promise.resolve('fnv-' + (hash >>> 0).toString(16).padStart(8, '0') + '-' + bytes.length.toString(16));
+    }
+
+    /**
+     * Use previously stored analysis instead of analyzing the audio again
+     * @param {Array} analysisResults - Compact analysis results
+     * @param {Object} beatGrid - Stored beat grid
+     */
+    useCachedAnalysis(analysisResults, beatGrid) {
+        this.cancelAnalysis();
+        this.analysisResults = analysisResults;
+        this.beatGrid = beatGrid;
+        this.analysisDone = true;
+    }
+
     /**
      * Analyze the loaded audio file to prepare track generation
      * @param {number} resolution - Number of analysis points per second
+     * @returns {Promise} - Resolves with {analysisResults, beatGrid}
      */
     analyzeAudio(resolution = 10) {
         return new Promise((resolve, reject) => {
@@ -121,188 +199,199 @@ class AudioProcessor {
                 return;
             }
 
-            // Calculate total analysis points
-            const totalDuration = this.audioBuffer.duration;
-            const totalPoints = Math.floor(totalDuration * resolution);
-            const interval = 1 / resolution;
-            
-            // Create an offline audio context for analysis
-            const offlineContext = new OfflineAudioContext(
-                this.audioBuffer.numberOfChannels,
-                this.audioBuffer.length,
-                this.audioBuffer.sampleRate
-            );
-            
-            // Create source and analyzer for offline processing
-            const offlineSource = offlineContext.createBufferSource();
-            offlineSource.buffer = this.audioBuffer;
-            
-            const offlineAnalyzer = offlineContext.createAnalyser();
-            offlineAnalyzer.fftSize = CONFIG.audio.fftSize;
-            offlineAnalyzer.smoothingTimeConstant = CONFIG.audio.smoothingTimeConstant;
-            offlineAnalyzer.minDecibels = CONFIG.audio.minDecibels;
-            offlineAnalyzer.maxDecibels = CONFIG.audio.maxDecibels;
-            
-            // Connect nodes
-            offlineSource.connect(offlineAnalyzer);
-            offlineAnalyzer.connect(offlineContext.destination);
-            
-            // Arrays to store data
+            // Only one analysis runs at a time
+            this.cancelAnalysis();
             this.analysisResults = [];
-            let currentPoint = 0;
             
-            // Start the source
-            offlineSource.start(0);
+            const task = {
+                reject,
+                worker: null,
+                cancelled: false
+            };
+            this.analysisTask = task;
             
-            // Process audio in chunks
-            const processChunk = async (currentTime) => {
-                // If we've analyzed all points, finish
-                if (currentPoint >= totalPoints) {
-                    this.analysisDone = true;
-                    if (this.onAnalysisCompleteCallback) {
-                        this.onAnalysisCompleteCallback(this.analysisResults);
-                    }
-                    resolve(this.analysisResults);
-                    return;
-                }
-                
-                // Process next chunk
-                const nextTime = Math.min(currentTime + interval, totalDuration);
-                await offlineContext.suspend(nextTime);
-                
-                // Create arrays for frequency and time domain data
-                const frequencyData = new Uint8Array(offlineAnalyzer.frequencyBinCount);
-                const timeData = new Uint8Array(offlineAnalyzer.frequencyBinCount);
-                
-                // Get frequency and time domain data
-                offlineAnalyzer.getByteFrequencyData(frequencyData);
-                offlineAnalyzer.getByteTimeDomainData(timeData);
-                
-                // Calculate band energies
-                const bandEnergies = this.calculateBandEnergies(frequencyData);
-                
-                // Calculate beat detection
-                const beatIntensity = this.detectBeat(frequencyData, timeData);
-                
-                // Store analysis result
-                this.analysisResults.push({
-                    time: currentTime,
-                    frequencyData: Array.from(frequencyData),  // Store a copy
-                    timeData: Array.from(timeData),            // Store a copy
-                    bandEnergies,
-                    beatIntensity,
-                    isBlock: beatIntensity > 0.6,  // Threshold for block generation
-                    blockColor: this.determineBlockColor(bandEnergies),
-                });
-                
-                // Call progress callback
+            const onProgress = (progress) => {
                 if (this.onAnalysisProgressCallback) {
-                    this.onAnalysisProgressCallback(currentPoint / totalPoints);
+                    this.onAnalysisProgressCallback(progress);
                 }
+            };
+            
+            const onComplete = ({ analysisResults, beatGrid }) => {
+                this.analysisTask = null;
+                this.analysisResults = analysisResults;
+                this.beatGrid = beatGrid;
+                this.analysisDone = true;
                 
-                // Move to next point
-                currentPoint++;
-                
-                // Continue processing
-                await offlineContext.resume();
-                processChunk(nextTime);
+                if (beatGrid) {
+                    console.log(`Estimated tempo: ${beatGrid.bpm} BPM (confidence ${beatGrid.confidence.toFixed(2)})`);
+                }
+                if (this.onAnalysisCompleteCallback) {
+                    this.onAnalysisCompleteCallback(this.analysisResults);
+                }
+                resolve({ analysisResults, beatGrid });
             };
             
-            // Start processing
-            offlineContext.startRendering().then(() => {
-                console.log("Audio analysis complete");
-            }).catch(error => {
+            const onError = (error) => {
+                this.analysisTask = null;
                 reject(error);
-            });
+            };
             
-            // Begin processing the first chunk
-            processChunk(0);
+            if (typeof Worker !== 'undefined') {
+                this.runAnalysisInWorker(task, resolution, onProgress, onComplete, onError, () => {
+                    // Worker unavailable (e.g. pages opened from file://)
+                    console.warn("Analysis worker unavailable, analyzing on the main thread");
+                    this.runAnalysisOnMainThread(task, resolution, onProgress, onComplete, onError);
+                });
+            } else {
+                this.runAnalysisOnMainThread(task, resolution, onProgress, onComplete, onError);
+            }
         });
     }
 
     /**
-     * Calculate energy in each frequency band
-     * @param {Uint8Array} frequencyData - Frequency domain data
-     * @returns {Array} - Energy in each band
+     * Run the analysis pipeline in a Web Worker
+     * @param {Object} task - Current analysis task
+     * @param {number} resolution - Number of analysis points per second
+     * @param {Function} onProgress - Progress callback (0-1)
+     * @param {Function} onComplete - Completion callback
+     * @param {Function} onError - Error callback for failures during analysis
+     * @param {Function} onFailure - Called if the worker itself cannot run
      */
-    calculateBandEnergies(frequencyData) {
-        const nyquist = this.audioContext.sampleRate / 2;
-        const bands = CONFIG.audio.frequencyBands;
-        const bandEnergies = [];
-
-        for (const band of bands) {
-            const minIndex = Math.floor(band.min / nyquist * frequencyData.length);
-            const maxIndex = Math.floor(band.max / nyquist * frequencyData.length);
-            let energy = 0;
+    runAnalysisInWorker(task, resolution, onProgress, onComplete, onError, onFailure) {
+        let worker;
+        try {
+            worker = new Worker(this.workerUrl);
+        } catch (error) {
+            onFailure(error);
+            return;
+        }
+        task.worker = worker;
+        
+        worker.onmessage = (event) => {
+            if (task.cancelled) return;
+            const message = event.data;
             
-            for (let i = minIndex; i <= maxIndex; i++) {
-                energy += frequencyData[i] / 255;  // Normalize to 0-1
+            if (message.type === 'progress') {
+                onProgress(message.progress);
+            } else if (message.type === 'complete') {
+                worker.terminate();
+                onComplete(message);
+            } else if (message.type === 'error') {
+                worker.terminate();
+                onError(new Error(message.message));
             }
-            
-            // Average energy in the band
-            energy = energy / (maxIndex - minIndex + 1);
-            bandEnergies.push(energy);
+        };
+        
+        worker.onerror = (event) => {
+            event.preventDefault();
+            worker.terminate();
+            if (!task.cancelled) {
+                onFailure(new Error(event.message || "Analysis worker failed"));
+            }
+        };
+        
+        // Copy the PCM data so it can be transferred to the worker
+        const channels = [];
+        for (let i = 0; i < this.audioBuffer.numberOfChannels; i++) {
+            channels.push(this.audioBuffer.getChannelData(i).slice());
         }
         
-        return bandEnergies;
+        worker.postMessage({
+            type: 'analyze',
+            config: CONFIG,
+            channels,
+            sampleRate: this.audioBuffer.sampleRate,
+            resolution
+        }, channels.map(channel => channel.buffer));
     }
 
     /**
-     * Simple beat detection algorithm
-     * @param {Uint8Array} frequencyData - Frequency domain data
-     * @param {Uint8Array} timeData - Time domain data
-     * @returns {number} - Beat intensity (0-1)
+     * Run the analysis pipeline on the main thread in small slices
+     * @param {Object} task - Current analysis task
+     * @param {number} resolution - Number of analysis points per second
+     * @param {Function} onProgress - Progress callback (0-1)
+     * @param {Function} onComplete - Completion callback
+     * @param {Function} onError - Error callback
      */
-    detectBeat(frequencyData, timeData) {
-        // Calculate energy in low frequency bands (bass)
-        const nyquist = this.audioContext.sampleRate / 2;
-        const lowFreqMax = 150;  // Focus on bass frequencies (up to 150Hz)
-        const maxIndex = Math.floor(lowFreqMax / nyquist * frequencyData.length);
-        
-        let energy = 0;
-        for (let i = 0; i < maxIndex; i++) {
-            energy += frequencyData[i];
+    runAnalysisOnMainThread(task, resolution, onProgress, onComplete, onError) {
+        const channels = [];
+        for (let i = 0; i < this.audioBuffer.numberOfChannels; i++) {
+            channels.push(this.audioBuffer.getChannelData(i));
         }
-        energy /= maxIndex * 255;  // Normalize to 0-1
         
-        // Measure signal transients in time domain
-        let transientEnergy = 0;
-        for (let i = 1; i < timeData.length; i++) {
-            // Calculate absolute difference between adjacent samples
-            transientEnergy += Math.abs(timeData[i] - timeData[i - 1]);
-        }
-        transientEnergy /= 255 * timeData.length;  // Normalize to 0-1
+        const pipeline = new AnalysisPipeline(channels, this.audioBuffer.sampleRate, resolution);
+        
+        // Yield between slices so the loading overlay keeps updating
+        const processSlice = () => {
+            if (task.cancelled) return;
+            
+            try {
+                onProgress(pipeline.processNext(20));
+                
+                if (pipeline.isComplete()) {
+                    onComplete(pipeline.finish());
+                } else {
+                    setTimeout(processSlice, 0);
+                }
+            } catch (error) {
+                onError(error);
+            }
+        };
         
-        // Combine measures for beat detection
-        const beatIntensity = Math.min(1, energy * 0.7 + transientEnergy * 0.3);
-        return beatIntensity;
+        processSlice();
     }
 
     /**
-     * Determine block color based on frequency bands
-     * @param {Array} bandEnergies - Energy in each frequency band
-     * @returns {number} - Color index
+     * Cancel the running analysis, rejecting its promise with an AbortError
      */
-    determineBlockColor(bandEnergies) {
-        // Find the band with maximum energy
-        let maxEnergyIndex = 0;
-        let maxEnergy = 0;
-        
-        for (let i = 0; i < bandEnergies.length; i++) {
-            if (bandEnergies[i] > maxEnergy) {
-                maxEnergy = bandEnergies[i];
-                maxEnergyIndex = i;
-            }
+    cancelAnalysis() {
+        const task = this.analysisTask;
+        if (!task) return;
+        
+        task.cancelled = true;
+        if (task.worker) {
+            task.worker.terminate();
         }
+        this.analysisTask = null;
+        
+        const error = new Error("Analysis cancelled");
+        error.name = 'AbortError';
+        task.reject(error);
+    }
+
+    /**
+     * Calculate energy in each frequency band
+     * @param {Uint8Array} frequencyData - Frequency domain data
+     * @returns {Array} - Energy in each band
+     */
+    calculateBandEnergies(frequencyData) {
+        return SpectralAnalyzer.calculateBandEnergies(frequencyData, this.audioContext.sampleRate);
+    }
+
+    /**
+     * Get the position within the beat grid at a given time
+     * @param {number} time - Time in seconds
+     * @returns {Object|null} - Beat index, phase within the beat (0-1) and downbeat flag
+     */
+    getBeatInfo(time) {
+        if (!this.beatGrid) return null;
         
-        // Map band index to color index
-        return maxEnergyIndex % CONFIG.visuals.blockColors.length;
+        const { beatInterval, offset, beatsPerBar, downbeatPhase } = this.beatGrid;
+        const position = (time - offset) / beatInterval;
+        const beatIndex = Math.floor(position);
+        
+        return {
+            beatIndex,
+            phase: position - beatIndex,
+            isDownbeat: ((beatIndex - downbeatPhase) % beatsPerBar + beatsPerBar) % beatsPerBar === 0
+        };
     }
 
     /**
      * Play the loaded audio
+     * @param {number} offset - Position to start from in seconds
      */
-    play() {
+    play(offset = 0) {
         if (!this.audioBuffer || this.audioData.isPlaying) return;
         
         // Create a new source node (can't reuse old ones)
@@ -311,9 +400,27 @@ class AudioProcessor {
         this.audioSource.connect(this.analyzer);
         
         // Start playing
-        this.audioSource.start(0);
+        this.audioSource.start(0, offset);
         this.audioData.isPlaying = true;
-        this.audioData.startTime = this.audioContext.currentTime;
+        this.audioData.startTime = this.audioContext.currentTime - offset;
+    }
+
+    /**
+     * Move the playback position, continuing playback if it was running
+     * @param {number} time - New position in seconds
+     */
+    seek(time) {
+        if (!this.audioBuffer) return;
+        
+        time = Math.max(0, Math.min(this.audioBuffer.duration, time));
+        
+        if (this.audioData.isPlaying) {
+            this.pause();
+            this.audioData.currentTime = time;
+            this.resume();
+        } else {
+            this.audioData.currentTime = time;
+        }
     }
 
     /**
@@ -352,12 +459,43 @@ class AudioProcessor {
      * Stop audio playback and reset position
      */
     stop() {
+        // A paused track also rewinds
+        this.audioData.currentTime = 0;
         if (!this.audioData.isPlaying || !this.audioSource) return;
         
         // Stop the audio source
         this.audioSource.stop();
         this.audioData.isPlaying = false;
-        this.audioData.currentTime = 0;
+    }
+
+    /**
+     * Schedule a metronome click through the master volume
+     * @param {number} time - Audio context time to click at
+     * @param {boolean} accent - Higher click for the first beat of a bar
+     * @returns {OscillatorNode} - The click's oscillator (stop it to cancel the click)
+     */
+    playClick(time, accent = false) {
+        const oscillator = this.audioContext.createOscillator();
+        const envelope = this.audioContext.createGain();
+        
+        oscillator.frequency.value = accent ? 1500 : 1000;
+        envelope.gain.setValueAtTime(0.8, time);
+        envelope.gain.exponentialRampToValueAtTime(0.001, time + 0.05);
+        
+        oscillator.connect(envelope);
+        envelope.connect(this.gainNode);
+        oscillator.start(time);
+        oscillator.stop(time + 0.06);
+        return oscillator;
+    }
+
+    /**
+     * Get the output latency the browser reports for the audio context
+     * @returns {number} - Seconds between scheduling a sound and hearing it
+     */
+    getReportedLatency() {
+        if (!this.audioContext) return 0;
+        return (this.audioContext.outputLatency || 0) + (this.audioContext.baseLatency || 0);
     }
 
     /**
@@ -381,6 +519,37 @@ class AudioProcessor {
         return this.getCurrentTime() / this.audioBuffer.duration;
     }
 
+    /**
+     * Get the peak amplitude of the decoded audio over short windows
+     * @param {number} peaksPerSecond - Number of windows per second
+     * @returns {Float32Array} - Peak amplitude (0-1) of each window
+     */
+    getWaveformPeaks(peaksPerSecond) {
+        if (!this.audioBuffer) return new Float32Array(0);
+        
+        const channels = [];
+        for (let c = 0; c < this.audioBuffer.numberOfChannels; c++) {
+            channels.push(this.audioBuffer.getChannelData(c));
+        }
+        
+        const windowSize = Math.max(1, Math.floor(this.audioBuffer.sampleRate / peaksPerSecond));
+        const peaks = new Float32Array(Math.ceil(this.audioBuffer.length / windowSize));
+        
+        for (let i = 0; i < peaks.length; i++) {
+            const end = Math.min(this.audioBuffer.length, (i + 1) * windowSize);
+            let peak = 0;
+            for (const channel of channels) {
+                for (let j = i * windowSize; j < end; j++) {
+                    const value = Math.abs(channel[j]);
+                    if (value > peak) peak = value;
+                }
+            }
+            peaks[i] = Math.min(1, peak);
+        }
+        
+        return peaks;
+    }
+
     /**
      * Update audio analysis in real-time
      * @returns {Object} - Real-time analysis data
@@ -388,6 +557,12 @@ class AudioProcessor {
     updateAnalysis() {
         if (!this.audioData.isPlaying) return null;
         
+        // Several systems poll per frame; only analyze once per audio tick
+        const time = this.getCurrentTime();
+        if (this.lastRealtimeAnalysis && this.lastRealtimeAnalysis.time === time) {
+            return this.lastRealtimeAnalysis;
+        }
+        
         // Get current frequency data
         this.analyzer.getByteFrequencyData(this.frequencyData);
         this.analyzer.getByteTimeDomainData(this.timeData);
@@ -395,16 +570,19 @@ class AudioProcessor {
         // Calculate band energies
         const bandEnergies = this.calculateBandEnergies(this.frequencyData);
         
-        // Detect beat
-        const beatIntensity = this.detectBeat(this.frequencyData, this.timeData);
+        // Detect onsets
+        const onset = this.onsetDetector.processFrame(this.frequencyData);
         
-        return {
-            time: this.getCurrentTime(),
+        this.lastRealtimeAnalysis = {
+            time,
             frequencyData: Array.from(this.frequencyData),
             timeData: Array.from(this.timeData),
             bandEnergies,
-            beatIntensity,
+            beatIntensity: onset.beatIntensity,
+            onsetStrengths: onset.onsetStrengths,
         };
+        
+        return this.lastRealtimeAnalysis;
     }
 
     /**
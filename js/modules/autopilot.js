@@ -0,0 +1,185 @@
+/**
+ * Autopilot - Plans a route through the track's blocks and steers the ship along it
+ *
+ * Used for CONFIG.game.autoplay, the menu's attract mode and checking that a chart
+ * can be fully collected.
+ */
+class Autopilot {
+    /**
+     * @param {GameEngine} gameEngine - Game engine to steer
+     */
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+        this.route = [];
+        this.routeIndex = 0;
+        this.lastLaneChange = -Infinity;
+        this.laneChangeTime = CONFIG.autoplay.laneChangeTime;
+        this.maxChain = CONFIG.autoplay.maxChain;
+        this.speed = CONFIG.autoplay.speed;
+    }
+
+    /**
+     * Plan the route for a run starting at the ship's current position
+     */
+    start() {
+        const engine = this.gameEngine;
+        this.route = this.planRoute(engine.simTime, engine.playerLane, true)
+            .map(index => engine.trackGenerator.blocks[index]);
+        this.routeIndex = 0;
+        this.lastLaneChange = -Infinity;
+    }
+
+    /**
+     * Steer towards the next block on the route (call once per simulation step)
+     * @param {number} time - Playback time of the step in seconds
+     */
+    update(time) {
+        const engine = this.gameEngine;
+        engine.setTargetSpeed(this.speed, time);
+
+        // Skip blocks that were already judged
+        while (this.routeIndex < this.route.length && this.route[this.routeIndex].judgment) {
+            this.routeIndex++;
+        }
+
+        const target = this.route[this.routeIndex];
+        if (!target || target.laneIndex === engine.playerLane) return;
+
+        // One lane at a time, no faster than a player could
+        if (time - this.lastLaneChange >= this.laneChangeTime) {
+            engine.changeLane(Math.sign(target.laneIndex - engine.playerLane), time);
+            this.lastLaneChange = time;
+        }
+    }
+
+    /**
+     * Check which blocks of the loaded track can be collected in a single run
+     * @returns {Object} - {collectible, total, reachable, unreachable: [block times]}
+     */
+    verify() {
+        const blocks = this.gameEngine.trackGenerator.blocks;
+        const route = new Set(this.planRoute(0, this.gameEngine.getStartLane(), false));
+        const unreachable = blocks
+            .filter((block, index) => !route.has(index))
+            .map(block => block.time)
+            .sort((a, b) => a - b);
+
+        return {
+            collectible: unreachable.length === 0,
+            total: blocks.length,
+            reachable: route.size,
+            unreachable
+        };
+    }
+
+    /**
+     * Find the best sequence of blocks to collect with dynamic programming
+     *
+     * Each state is a collected block plus the length of the color chain ending on it,
+     * so routes that keep a color going can beat routes that collect more blocks. Chains
+     * break when the gap between blocks exceeds the combo timeout; the combo multiplier
+     * grows with every block on any route and is left out.
+     * @param {number} startTime - Song time the ship starts at
+     * @param {number} startLane - Lane the ship starts in
+     * @param {boolean} scoreChains - Maximize score including color chains (false: maximize block count)
+     * @returns {Array} - Indices into TrackGenerator.blocks, in collection order
+     */
+    planRoute(startTime, startLane, scoreChains) {
+        const blocks = this.gameEngine.trackGenerator.blocks;
+        const chainStates = scoreChains ? this.maxChain + 1 : 1;
+        const chainTime = CONFIG.scoring.comboTimeout;
+        const windowTime = Math.max((this.gameEngine.trackGenerator.lanes - 1) * this.laneChangeTime, chainTime);
+
+        const order = blocks
+            .map((block, index) => index)
+            .filter(index => blocks[index].time >= startTime)
+            .sort((a, b) => blocks[a].time - blocks[b].time);
+        const colors = order.map(index => CONFIG.visuals.blockColors.indexOf(blocks[index].color));
+
+        // A block can be reached late within its judgment window: aim for Perfect at the
+        // autopilot's speed when playing, accept Good at normal speed when only checking
+        // the chart can be collected
+        const trackGenerator = this.gameEngine.trackGenerator;
+        const slack = scoreChains
+            ? trackGenerator.getJudgmentWindows(this.speed).perfect
+            : trackGenerator.getJudgmentWindows().good;
+        const canReach = (fromTime, fromLane, toTime, toLane) =>
+            Math.abs(toLane - fromLane) * this.laneChangeTime <= toTime - fromTime + slack;
+
+        const points = chain => scoreChains
+            ? (CONFIG.scoring.basePoints +
+              CONFIG.scoring.colorMatch * chain +
+              (chain >= 3 ? CONFIG.scoring.perfectMatch : 0)) * this.speed
+            : 1;
+
+        // best[position][chain] = {value, from: [position, chain]}
+        const best = order.map(() => new Array(chainStates).fill(null));
+
+        // Blocks further back than the window reach any lane in time and end any chain,
+        // so only the best of their states matters
+        let farBest = null;
+        let farPointer = 0;
+
+        const offer = (position, chain, value, from) => {
+            const current = best[position][chain];
+            if (!current || value > current.value) {
+                best[position][chain] = { value, from };
+            }
+        };
+
+        for (let j = 0; j < order.length; j++) {
+            const block = blocks[order[j]];
+
+            // Fold blocks that left the window into farBest
+            while (farPointer < j && blocks[order[farPointer]].time < block.time - windowTime) {
+                best[farPointer].forEach((state, chain) => {
+                    if (state && (!farBest || state.value > farBest.value)) {
+                        farBest = { value: state.value, from: [farPointer, chain] };
+                    }
+                });
+                farPointer++;
+            }
+
+            // Start the route here, or continue from a far block
+            if (canReach(startTime, startLane, block.time, block.laneIndex)) {
+                offer(j, 0, points(0), null);
+            }
+            if (farBest) {
+                offer(j, 0, farBest.value + points(0), farBest.from);
+            }
+
+            // Continue from a block inside the window
+            for (let i = farPointer; i < j; i++) {
+                const previous = blocks[order[i]];
+                if (!canReach(previous.time, previous.laneIndex, block.time, block.laneIndex)) continue;
+
+                const keepsChain = scoreChains && colors[i] === colors[j] &&
+                    block.time - previous.time <= chainTime;
+                best[i].forEach((state, chain) => {
+                    if (!state) return;
+                    const nextChain = keepsChain ? Math.min(chain + 1, this.maxChain) : 0;
+                    offer(j, nextChain, state.value + points(nextChain), [i, chain]);
+                });
+            }
+        }
+
+        // Walk back from the best final state
+        let end = null;
+        best.forEach((states, position) => {
+            states.forEach((state, chain) => {
+                if (state && (!end || state.value > end.value)) {
+                    end = { value: state.value, position, chain };
+                }
+            });
+        });
+
+        const route = [];
+        let step = end ? [end.position, end.chain] : null;
+        while (step) {
+            route.push(order[step[0]]);
+            step = best[step[0]][step[1]].from;
+        }
+
+        return route.reverse();
+    }
+}
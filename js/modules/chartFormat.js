@@ -0,0 +1,140 @@
+/**
+ * ChartFormat - Versioned JSON representation of a generated level
+ *
+ * {
+ *   format: 'kuss-chart', version: 1,
+ *   audio: {hash, fileName, duration},
+ *   tempo: {bpm, beatInterval, offset, beatsPerBar, downbeatPhase} | null,
+ *   seed, difficulty, lanes, speed, resolution,
+ *   path: {leadInPoints, pointsPerSegment, points: [[x, y, z, rotation, tilt], ...]},
+ *   blocks: [{time, lane, color, type, intensity}, ...]
+ * }
+ */
+class ChartFormat {
+    constructor() {
+        this.format = 'kuss-chart';
+        this.version = 1;
+        this.blockTypes = ['normal'];
+    }
+
+    /**
+     * Serialize a chart with one path point or block per line so charts diff cleanly
+     * @param {Object} chart - Chart object
+     * @returns {string} - JSON text
+     */
+    stringify(chart) {
+        const line = value => JSON.stringify(value);
+        const list = items => items.length
+            ? `[\n${items.map(item => `    ${line(item)}`).join(',\n')}\n  ]`
+            : '[]';
+
+        return [
+            '{',
+            `  "format": ${line(this.format)},`,
+            `  "version": ${line(this.version)},`,
+            `  "audio": ${line(chart.audio || null)},`,
+            `  "tempo": ${line(chart.tempo || null)},`,
+            `  "seed": ${line(chart.seed)},`,
+            `  "difficulty": ${line(chart.difficulty || 'normal')},`,
+            `  "lanes": ${line(chart.lanes)},`,
+            `  "speed": ${line(chart.speed || 1)},`,
+            `  "resolution": ${line(chart.resolution)},`,
+            `  "path": {`,
+            `    "leadInPoints": ${line(chart.path.leadInPoints)},`,
+            `    "pointsPerSegment": ${line(chart.path.pointsPerSegment)},`,
+            `    "points": ${list(chart.path.points).replace(/\n/g, '\n  ')}`,
+            `  },`,
+            `  "blocks": ${list(chart.blocks)}`,
+            '}',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Parse and validate chart JSON
+     * @param {string} text - JSON text
+     * @returns {Object} - Chart object
+     * @throws {Error} - If the text is not a valid chart
+     */
+    parse(text) {
+        let chart;
+        try {
+            chart = JSON.parse(text);
+        } catch (error) {
+            throw new Error("Chart is not valid JSON");
+        }
+
+        this.validate(chart);
+        return chart;
+    }
+
+    /**
+     * Validate a chart object
+     * @param {Object} chart - Chart object
+     * @throws {Error} - Describing the first problem found
+     */
+    validate(chart) {
+        const isNumber = value => typeof value === 'number' && isFinite(value);
+
+        if (!chart || chart.format !== this.format) {
+            throw new Error("Not a K.U.S.S chart file");
+        }
+        if (!Number.isInteger(chart.version) || chart.version < 1 || chart.version > this.version) {
+            throw new Error(`Unsupported chart version ${chart.version}`);
+        }
+        if (!Number.isInteger(chart.seed) || chart.seed < 0) {
+            throw new Error("Chart seed is missing or invalid");
+        }
+        if (chart.difficulty !== undefined && !CONFIG.difficulties[chart.difficulty]) {
+            throw new Error(`Unknown chart difficulty "${chart.difficulty}"`);
+        }
+        if (!Number.isInteger(chart.lanes) || chart.lanes < 1) {
+            throw new Error("Chart lane count is invalid");
+        }
+        if (chart.speed !== undefined && (!isNumber(chart.speed) || chart.speed <= 0)) {
+            throw new Error("Chart speed is invalid");
+        }
+        if (!isNumber(chart.resolution) || chart.resolution <= 0) {
+            throw new Error("Chart resolution is invalid");
+        }
+
+        const tempo = chart.tempo;
+        if (tempo !== undefined && tempo !== null && (typeof tempo !== 'object' ||
+            !isNumber(tempo.bpm) || tempo.bpm <= 0 ||
+            !isNumber(tempo.beatInterval) || tempo.beatInterval <= 0 ||
+            !isNumber(tempo.offset) ||
+            !Number.isInteger(tempo.beatsPerBar) || tempo.beatsPerBar < 1 ||
+            !Number.isInteger(tempo.downbeatPhase) || tempo.downbeatPhase < 0 || tempo.downbeatPhase >= tempo.beatsPerBar)) {
+            throw new Error("Chart tempo is invalid");
+        }
+
+        const path = chart.path;
+        if (!path || !Array.isArray(path.points) || path.points.length < 2 ||
+            !Number.isInteger(path.leadInPoints) || path.leadInPoints < 0 ||
+            !Number.isInteger(path.pointsPerSegment) || path.pointsPerSegment < 1) {
+            throw new Error("Chart path is missing or incomplete");
+        }
+        // The first segment starts pointsPerSegment - 1 points before the lead-in ends
+        if (path.leadInPoints < path.pointsPerSegment - 1 || path.points.length <= path.leadInPoints) {
+            throw new Error("Chart path lead-in doesn't fit its points");
+        }
+        path.points.forEach((point, index) => {
+            if (!Array.isArray(point) || point.length !== 5 || !point.every(isNumber)) {
+                throw new Error(`Chart path point ${index} is invalid`);
+            }
+        });
+
+        if (!Array.isArray(chart.blocks)) {
+            throw new Error("Chart has no block list");
+        }
+        chart.blocks.forEach((block, index) => {
+            if (!block || !isNumber(block.time) || block.time < 0 ||
+                !Number.isInteger(block.lane) || block.lane < 0 || block.lane >= chart.lanes ||
+                !Number.isInteger(block.color) || block.color < 0 || block.color >= CONFIG.visuals.blockColors.length ||
+                !this.blockTypes.includes(block.type) ||
+                !isNumber(block.intensity) || block.intensity <= 0) {
+                throw new Error(`Chart block ${index} is invalid`);
+            }
+        });
+    }
+}
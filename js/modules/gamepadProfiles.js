@@ -0,0 +1,137 @@
+/**
+ * GamepadProfiles - Button mappings for each controller
+ *
+ * Controllers the browser reports with the standard mapping share one built-in
+ * profile and the rest fall back to a generic one. The player's remappings are
+ * kept per controller, by Gamepad.id, in the shape of CONFIG.gamepad.profiles:
+ * {name, stickX, stickY, buttons: {action: [button index, ...]}}
+ */
+class GamepadProfiles {
+    /**
+     * @param {Object} customProfiles - The player's mappings by Gamepad.id (edited in place)
+     */
+    constructor(customProfiles = CONFIG.gamepad.customProfiles) {
+        this.customProfiles = customProfiles;
+        this.maxBindings = CONFIG.gamepad.maxBindings;
+    }
+
+    /**
+     * Get the built-in profile for a controller mapping
+     * @param {string} mapping - Gamepad.mapping ('standard' or '')
+     * @returns {Object} - Built-in profile
+     */
+    getDefaultProfile(mapping) {
+        return mapping === 'standard' ? CONFIG.gamepad.profiles.standard : CONFIG.gamepad.profiles.generic;
+    }
+
+    /**
+     * Get the profile of a controller, with the player's remapping
+     * @param {string} padId - Gamepad.id
+     * @param {string} mapping - Gamepad.mapping
+     * @returns {Object} - Profile
+     */
+    getProfile(padId, mapping) {
+        return this.customProfiles[padId] || this.getDefaultProfile(mapping);
+    }
+
+    /**
+     * Check whether the player remapped a controller
+     * @param {string} padId - Gamepad.id
+     * @returns {boolean} - True if remapped
+     */
+    isCustom(padId) {
+        return padId in this.customProfiles;
+    }
+
+    /**
+     * Get the actions whose buttons are pressed
+     * @param {Gamepad} gamepad - Gamepad object
+     * @returns {Set} - Action names
+     */
+    getPressedActions(gamepad) {
+        const buttons = this.getProfile(gamepad.id, gamepad.mapping).buttons;
+        const pressed = new Set();
+
+        Object.keys(CONFIG.gamepad.actions).forEach(action => {
+            if ((buttons[action] || []).some(index => gamepad.buttons[index]?.pressed)) {
+                pressed.add(action);
+            }
+        });
+        return pressed;
+    }
+
+    /**
+     * Get a controller's profile the player can change, copying the built-in one on first edit
+     * @param {string} padId - Gamepad.id
+     * @param {string} mapping - Gamepad.mapping
+     * @returns {Object} - Editable profile
+     */
+    getEditableProfile(padId, mapping) {
+        if (!this.customProfiles[padId]) {
+            this.customProfiles[padId] = JSON.parse(JSON.stringify(this.getDefaultProfile(mapping)));
+        }
+        return this.customProfiles[padId];
+    }
+
+    /**
+     * Bind a button to an action, taking it from any other action of the controller
+     * @param {string} padId - Gamepad.id
+     * @param {string} mapping - Gamepad.mapping
+     * @param {string} action - Action name
+     * @param {number} button - Button index
+     * @returns {Object} - {conflict: action the button was taken from, dropped: button pushed out by the limit}
+     */
+    bind(padId, mapping, action, button) {
+        const buttons = this.getEditableProfile(padId, mapping).buttons;
+        const result = { conflict: null, dropped: null };
+
+        for (const other in buttons) {
+            if (other !== action && buttons[other].includes(button)) {
+                buttons[other] = buttons[other].filter(bound => bound !== button);
+                result.conflict = other;
+            }
+        }
+
+        const bound = (buttons[action] || []).filter(index => index !== button);
+        bound.push(button);
+        if (bound.length > this.maxBindings) {
+            result.dropped = bound.shift();
+        }
+        buttons[action] = bound;
+        return result;
+    }
+
+    /**
+     * Remove a button from an action
+     * @param {string} padId - Gamepad.id
+     * @param {string} mapping - Gamepad.mapping
+     * @param {string} action - Action name
+     * @param {number} button - Button index
+     */
+    unbind(padId, mapping, action, button) {
+        const buttons = this.getEditableProfile(padId, mapping).buttons;
+        buttons[action] = (buttons[action] || []).filter(index => index !== button);
+    }
+
+    /**
+     * Go back to the built-in profile for a controller
+     * @param {string} padId - Gamepad.id
+     */
+    resetProfile(padId) {
+        delete this.customProfiles[padId];
+    }
+
+    /**
+     * Get a readable name for a button
+     * @param {number} button - Button index
+     * @param {string} mapping - Gamepad.mapping
+     * @returns {string} - Button name
+     */
+    getButtonName(button, mapping) {
+        const standardNames = [
+            'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'LS', 'RS', '↑', '↓', '←', '→', 'Home'
+        ];
+        if (mapping === 'standard' && standardNames[button]) return standardNames[button];
+        return `Button ${button}`;
+    }
+}
@@ -0,0 +1,156 @@
+/**
+ * GhostRacer - Races a translucent ship driven by a stored replay alongside the player
+ *
+ * The ghost follows the replay's lane and steering inputs, and its score is rebuilt from
+ * the replay's judged blocks with a ScoreManager of its own, so the score delta is
+ * exact at every moment of the song.
+ */
+class GhostRacer {
+    /**
+     * @param {GameEngine} gameEngine - Game engine to race in
+     */
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+        this.replay = null;
+        this.isActive = false;
+        this.scoreManager = new ScoreManager();
+        this.inputIndex = 0;
+        this.eventIndex = 0;
+        this.lane = 1;
+        this.displayLane = 1;
+        this.prevDisplayLane = 1;
+        this.steerInput = 0;
+        this.ship = this.createShip();
+        this.gameEngine.scene.add(this.ship);
+    }
+
+    /**
+     * Create the translucent ghost ship
+     * @returns {THREE.Group} - Ghost ship
+     */
+    createShip() {
+        const material = new THREE.MeshBasicMaterial({
+            color: CONFIG.visuals.ghostColor,
+            transparent: true,
+            opacity: 0.35,
+            depthWrite: false
+        });
+
+        const bodyGeometry = new THREE.ConeGeometry(0.5, 2, 8);
+        bodyGeometry.rotateX(Math.PI / 2);
+        const body = new THREE.Mesh(bodyGeometry, material);
+
+        const wings = new THREE.Mesh(new THREE.BoxGeometry(2, 0.1, 1), material);
+        wings.position.set(0, -0.2, 0.2);
+
+        const ship = new THREE.Group();
+        ship.add(body);
+        ship.add(wings);
+        ship.visible = false;
+        return ship;
+    }
+
+    /**
+     * Choose the replay to race against
+     * @param {Object|null} replay - Replay, or null for no ghost
+     */
+    setReplay(replay) {
+        this.replay = replay;
+    }
+
+    /**
+     * Start the ghost for a run, if its replay fits the run
+     * @param {number} startTime - Song position the run starts from in seconds
+     */
+    start(startTime) {
+        const engine = this.gameEngine;
+        this.isActive = !!this.replay && CONFIG.game.ghost && !engine.isReplay &&
+            this.replay.startTime === startTime &&
+            !engine.replayManager.getIncompatibility(this.replay);
+
+        this.ship.visible = this.isActive;
+        if (!this.isActive) return;
+
+        this.scoreManager.resetScore(engine.getDifficulty().scoreMultiplier);
+        this.inputIndex = 0;
+        this.eventIndex = 0;
+        this.lane = engine.getStartLane();
+        this.displayLane = this.lane;
+        this.prevDisplayLane = this.lane;
+        this.steerInput = 0;
+    }
+
+    /**
+     * Hide the ghost when the run ends
+     */
+    stop() {
+        this.isActive = false;
+        this.ship.visible = false;
+    }
+
+    /**
+     * Advance the ghost to a playback time (call once per simulation step)
+     * @param {number} time - Playback time of the step in seconds
+     * @param {number} stepTime - Length of the step in seconds
+     */
+    update(time, stepTime) {
+        if (!this.isActive) return;
+
+        const { inputs, events } = this.replay;
+        const blocks = this.gameEngine.trackGenerator.blocks;
+
+        // Apply the inputs the ghost made by now
+        const roundedTime = this.gameEngine.replayManager.round(time);
+        while (this.inputIndex < inputs.length && inputs[this.inputIndex][0] <= roundedTime) {
+            const [, type, value] = inputs[this.inputIndex++];
+            if (type === 'lane') {
+                this.lane = value;
+            } else if (type === 'steer') {
+                this.steerInput = value;
+            }
+        }
+
+        // Score the blocks it judged by now
+        while (this.eventIndex < events.length && events[this.eventIndex][0] <= time) {
+            const [eventTime, blockIndex, judgment, speed = 1] = events[this.eventIndex++];
+            if (judgment === 'miss') {
+                this.scoreManager.addMiss();
+            } else if (blocks[blockIndex]) {
+                const colorIndex = CONFIG.visuals.blockColors.indexOf(blocks[blockIndex].color);
+                this.scoreManager.addBlock(colorIndex, judgment, eventTime, speed);
+            }
+        }
+        this.scoreManager.updateCombo(time);
+
+        // Move like the player's ship does, sliding between lanes or steering freely
+        this.prevDisplayLane = this.displayLane;
+        this.displayLane = this.replay.steering === 'free'
+            ? this.gameEngine.steer(this.displayLane, this.steerInput, stepTime)
+            : THREE.MathUtils.lerp(this.displayLane, this.lane, Math.min(1, stepTime * 15));
+    }
+
+    /**
+     * Place the ghost on the track at the playback time (call once per frame)
+     * @param {number} time - Current playback time in seconds
+     * @param {number} alpha - How far playback is between the last step and the next (0-1)
+     */
+    render(time, alpha) {
+        if (!this.isActive) return;
+
+        const lane = THREE.MathUtils.lerp(this.prevDisplayLane, this.displayLane, alpha);
+
+        const trackGenerator = this.gameEngine.trackGenerator;
+        this.ship.position.copy(trackGenerator.getPositionAtTime(time, lane));
+        const direction = trackGenerator.getDirectionAtTime(time);
+        this.ship.lookAt(this.ship.position.clone().add(direction));
+    }
+
+    /**
+     * Get how far the player is ahead of the ghost
+     * @returns {number|null} - Player score minus ghost score, or null without a ghost
+     */
+    getScoreDelta() {
+        if (!this.isActive) return null;
+        return this.gameEngine.scoreManager.getScore() - this.scoreManager.getScore();
+    }
+}
@@ -0,0 +1,115 @@
+/**
+ * HighScores - Persists the best runs of each track in the game database
+ *
+ * Scores are grouped by track: the audio hash plus the difficulty and seed the level
+ * was built with, and the hash of its chart, so an edited or imported chart (or one
+ * built with another lane count or speed) gets its own table and ghost.
+ */
+class HighScores {
+    /**
+     * @param {LocalDatabase} database - Shared game database
+     */
+    constructor(database) {
+        this.database = database;
+        this.storeName = 'scores';
+        this.maxEntries = CONFIG.storage.highScoresPerTrack;
+    }
+
+    /**
+     * Get the key scores of a level are grouped under
+     * @param {Object} track - {hash, difficulty, seed, chart}
+     * @returns {string} - Track key
+     */
+    getTrackKey(track) {
+        return `${track.hash}:${track.difficulty}:${track.seed}:${track.chart}`;
+    }
+
+    /**
+     * Get the best scores of a level
+     * @param {Object} track - {hash, difficulty, seed, chart}
+     * @returns {Promise} - Resolves with up to maxEntries records, best first (never rejects)
+     */
+    getScores(track) {
+        return this.database.getAllFromIndex(this.storeName, 'track', this.getTrackKey(track))
+            .then(records => this.rank(records).slice(0, this.maxEntries))
+            .catch(error => {
+                console.warn("High scores unavailable:", error);
+                return [];
+            });
+    }
+
+    /**
+     * Get the personal best of a level
+     * @param {Object} track - {hash, difficulty, seed, chart}
+     * @returns {Promise} - Resolves with the best record or null
+     */
+    getBest(track) {
+        return this.getScores(track).then(records => records[0] || null);
+    }
+
+    /**
+     * Check whether a score would make the table
+     * @param {Object} track - {hash, difficulty, seed, chart}
+     * @param {number} score - Final score
+     * @returns {Promise} - Resolves with {qualifies, isRecord}
+     */
+    check(track, score) {
+        return this.getScores(track).then(records => ({
+            qualifies: score > 0 && (records.length < this.maxEntries || score > records[records.length - 1].score),
+            isRecord: score > 0 && (!records.length || score > records[0].score)
+        }));
+    }
+
+    /**
+     * Store a run and drop scores that fell off the table
+     * @param {Object} track - {hash, fileName, difficulty, seed, chart}
+     * @param {Object} result - {name, score, grade, accuracy, stats, replay}
+     * @returns {Promise} - Resolves with {record, rank} (rank is 0-based, -1 if not stored)
+     */
+    add(track, result) {
+        const date = Date.now();
+        const trackKey = this.getTrackKey(track);
+        const record = {
+            id: `${trackKey}:${date}`,
+            track: trackKey,
+            hash: track.hash,
+            fileName: track.fileName,
+            difficulty: track.difficulty,
+            seed: track.seed,
+            chart: track.chart,
+            name: result.name,
+            date,
+            score: result.score,
+            grade: result.grade,
+            accuracy: result.accuracy,
+            stats: result.stats,
+            replay: result.replay || null
+        };
+
+        return this.database.put(this.storeName, record)
+            .then(() => this.database.getAllFromIndex(this.storeName, 'track', trackKey))
+            .then(records => {
+                const ranked = this.rank(records);
+                const evictions = ranked.slice(this.maxEntries)
+                    .map(entry => this.database.delete(this.storeName, entry.id));
+
+                return Promise.all(evictions).then(() => ({
+                    record,
+                    rank: ranked.slice(0, this.maxEntries).findIndex(entry => entry.id === record.id)
+                }));
+            })
+            .catch(error => {
+                console.warn("Failed to save high score:", error);
+                return { record, rank: -1 };
+            });
+    }
+
+    /**
+     * Sort records best first; earlier runs win ties
+     * @param {Array} records - Score records
+     * @returns {Array} - Sorted records
+     */
+    rank(records) {
+        return records.sort((a, b) => b.score - a.score || a.date - b.date);
+    }
+}
@@ -1,25 +1,69 @@
 /**
- * InputHandler - Manages keyboard, touch, and gamepad input
+ * InputHandler - Manages keyboard, pointer (mouse, pen and touch), and gamepad input
  */
 class InputHandler {
     constructor(gameEngine) {
         this.gameEngine = gameEngine;
         this.horizontalInput = 0;
         this.verticalInput = 0;
-        this.touchStartX = 0;
-        this.touchStartY = 0;
-        this.touchThreshold = 30;
+        this.speedInput = 1.0;           // Ship speed asked for (0.5-1.5), taken at the next simulation step
+        this.touches = new Map();        // Touch pointerId => {startX, side}
+        this.touchSpeed = 0;             // 1 while the on-screen faster button is held, -1 for slower
         this.keyState = {};
-        this.lastLaneChange = 0;
-        this.laneChangeDelay = 200; // ms
+        this.keyBindings = null;
+        this.actionMap = new Map();
+        this.gamepadProfiles = null;
+        this.gamepadActions = new Map(); // Gamepad index => actions pressed at the last poll
+        this.gamepadButtons = new Map(); // Gamepad index => buttons pressed at the last poll
+        this.gamepadHeld = new Set();    // Actions held on any controller
+        this.gamepadInterval = null;
+        this.activeGamepad = null;       // Index of the controller played with last (it rumbles)
+        this.buttonCapture = null;       // {padId, callback} while a button is being remapped
+        this.menuDirection = null;
+        this.menuRepeatAt = 0;
+        this.laneQueue = [];             // Lane changes waiting for the one under way: {direction, time}
+        this.laneChangeEnd = -Infinity;  // Playback time the lane change under way completes
+        this.isKeyboardSteering = false;
+        this.isGamepadSteering = false;
+        this.steerTarget = null;         // Position across the track (in lanes) the cursor or a lane zone asks for
+        this.pointerSteering = false;    // The cursor steers, since a click on the canvas
+        this.pointerX = 0.5;             // Cursor position across the canvas (0 left to 1 right)
+        this.pointerSpeed = 0;           // 1 while the faster button is held, -1 for slower
+        this.wheelSpeed = 0;             // Speed asked for by the last wheel notch
+        this.wheelUntil = 0;             // Time (seconds) the wheel's speed lasts until
+        this.hadPointerLock = false;
         this.isMobile = this.checkIfMobile();
         
         // Initialize input handlers
+        this.updateBindings();
         this.initKeyboardInput();
-        this.initTouchInput();
+        this.initPointerInput();
+        this.initTouchButtons();
         this.initGamepadInput();
     }
 
+    /**
+     * Read the key bindings and controller mappings (call after they change)
+     */
+    updateBindings() {
+        this.keyBindings = new KeyBindings(CONFIG.keyboard.customProfiles);
+        this.actionMap = this.keyBindings.getActionMap(CONFIG.keyboard.currentProfile);
+        this.gamepadProfiles = new GamepadProfiles(CONFIG.gamepad.customProfiles);
+    }
+
+    /**
+     * Check whether any key or controller button bound to an action is held
+     * @param {string} action - Action name
+     * @returns {boolean} - True if held
+     */
+    isActionHeld(action) {
+        if (this.gamepadHeld.has(action)) return true;
+        for (const [code, actions] of this.actionMap) {
+            if (this.keyState[code] && actions.includes(action)) return true;
+        }
+        return false;
+    }
+
     /**
      * Initialize keyboard input handlers
      */
@@ -28,20 +72,26 @@ class InputHandler {
         window.addEventListener('keydown', (e) => {
             this.keyState[e.code] = true;
             
-            // Get current keyboard layout
-            const layout = CONFIG.keyboard.layouts[CONFIG.keyboard.currentLayout];
+            // Toggle the timing overlay
+            if (e.code === 'F3') {
+                e.preventDefault();
+                window.uiController.toggleDebugOverlay();
+            }
+            
+            const actions = this.actionMap.get(e.code) || [];
+            const engine = this.gameEngine;
             
-            // Handle lane changes on key press (not hold)
-            if (e.code === layout.left || e.code === 'ArrowLeft') { 
-                this.handleLaneChange(-1);
-            } else if (e.code === layout.right || e.code === 'ArrowRight') {
-                this.handleLaneChange(1);
+            // Handle lane changes on key press; auto-repeat while held isn't queued
+            if (actions.includes('left')) {
+                this.handleLaneChange(-1, !e.repeat);
+            } else if (actions.includes('right')) {
+                this.handleLaneChange(1, !e.repeat);
             }
             
             // Handle pause
-            if (e.code === 'Escape' || e.code === 'KeyP') {
-                if (this.gameEngine.isPlaying && !this.gameEngine.isGameOver) {
-                    if (this.gameEngine.isPaused) {
+            if (actions.includes('pause') && !e.repeat) {
+                if (engine.isPlaying && !engine.isGameOver) {
+                    if (engine.isPaused) {
                         // Resume game
                         window.uiController.resumeGame();
                     } else {
@@ -50,6 +100,11 @@ class InputHandler {
                     }
                 }
             }
+            
+            // Restart the run from its start
+            if (actions.includes('restart') && !e.repeat && engine.isPlaying && !engine.isGameOver) {
+                window.uiController.restartGame();
+            }
         });
         
         // Key up handler
@@ -59,51 +114,299 @@ class InputHandler {
     }
 
     /**
-     * Initialize touch input handlers
+     * Initialize pointer input handlers
+     *
+     * Mouse, pen and touch share Pointer Events: touch swipes between lanes, while mice,
+     * pens and trackpads steer the ship towards the cursor, and the middle and right
+     * buttons and the wheel set the speed. The cursor only steers after a left click on
+     * the canvas, so a mouse resting over it doesn't fight the keyboard.
      */
-    initTouchInput() {
+    initPointerInput() {
         const gameCanvas = document.getElementById('game-canvas');
         if (!gameCanvas) return;
         
-        // Touch start handler
-        gameCanvas.addEventListener('touchstart', (e) => {
+        gameCanvas.addEventListener('pointerdown', (e) => {
             if (!this.gameEngine.isPlaying || this.gameEngine.isPaused) return;
             
-            const touch = e.touches[0];
-            this.touchStartX = touch.clientX;
-            this.touchStartY = touch.clientY;
+            // Every finger counts; mice and pens only have the one pointer
+            if (e.pointerType === 'touch') {
+                this.handleTouchStart(e, gameCanvas);
+                return;
+            }
+            if (!e.isPrimary) return;
+            
+            if (CONFIG.pointer.lock && document.pointerLockElement !== gameCanvas && gameCanvas.requestPointerLock) {
+                gameCanvas.requestPointerLock();
+            }
+            this.pointerSpeed = this.getPointerSpeed(e.buttons);
+            if (e.button === 0) {
+                this.pointerSteering = true;
+                this.followPointer(e, gameCanvas);
+            } else if (e.button === 1) {
+                // The middle button speeds up rather than scrolling
+                e.preventDefault();
+            }
         });
         
-        // Touch move handler
-        gameCanvas.addEventListener('touchmove', (e) => {
+        gameCanvas.addEventListener('pointermove', (e) => {
             if (!this.gameEngine.isPlaying || this.gameEngine.isPaused) return;
             
-            const touch = e.touches[0];
-            const deltaX = touch.clientX - this.touchStartX;
-            
-            // Update horizontal input based on touch movement
-            this.horizontalInput = Math.max(-1, Math.min(1, deltaX / 100));
-            
-            // Handle lane changes based on threshold
-            if (Math.abs(deltaX) > this.touchThreshold) {
-                const direction = deltaX > 0 ? 1 : -1;
-                this.handleLaneChange(direction);
-                
-                // Reset touch start to allow multiple swipes
-                this.touchStartX = touch.clientX;
+            if (e.pointerType === 'touch') {
+                this.handleTouchMove(e, gameCanvas);
+            } else if (e.isPrimary) {
+                // Pressing a second button only shows up as a move
+                this.pointerSpeed = this.getPointerSpeed(e.buttons);
+                this.followPointer(e, gameCanvas);
             }
-            
-            // Prevent default to avoid page scrolling
+        });
+        
+        const releasePointer = (e) => {
+            if (e.pointerType === 'touch') {
+                this.handleTouchEnd(e);
+            } else if (e.isPrimary) {
+                this.pointerSpeed = this.getPointerSpeed(e.buttons);
+            }
+        };
+        gameCanvas.addEventListener('pointerup', releasePointer);
+        gameCanvas.addEventListener('pointercancel', releasePointer);
+        
+        // The wheel nudges the speed for a moment per notch
+        gameCanvas.addEventListener('wheel', (e) => {
+            if (!this.gameEngine.isPlaying || this.gameEngine.isPaused || e.deltaY === 0) return;
             e.preventDefault();
+            this.wheelSpeed = e.deltaY < 0 ? 1 : -1;
+            this.wheelUntil = performance.now() / 1000 + CONFIG.pointer.wheelHold;
+        }, { passive: false });
+        
+        // The right button slows down instead of opening the menu
+        gameCanvas.addEventListener('contextmenu', (e) => {
+            if (this.gameEngine.isPlaying) {
+                e.preventDefault();
+            }
         });
         
-        // Touch end handler
-        gameCanvas.addEventListener('touchend', () => {
-            if (!this.gameEngine.isPlaying || this.gameEngine.isPaused) return;
+        // Esc releases the pointer lock before the game sees the key, so pause then
+        document.addEventListener('pointerlockchange', () => {
+            const isLocked = document.pointerLockElement === gameCanvas;
+            const engine = this.gameEngine;
+            if (this.hadPointerLock && !isLocked && engine.isPlaying && !engine.isPaused && !engine.isGameOver) {
+                window.uiController.pauseGame();
+            }
+            this.hadPointerLock = isLocked;
+        });
+    }
+
+    /**
+     * Set up the on-screen speed buttons, held like the faster and slower keys
+     */
+    initTouchButtons() {
+        const buttons = [
+            [document.getElementById('faster-button'), 1],
+            [document.getElementById('slower-button'), -1]
+        ];
+        
+        buttons.forEach(([button, speed]) => {
+            if (!button) return;
             
-            // Reset input when touch ends
+            button.addEventListener('pointerdown', (e) => {
+                e.preventDefault();
+                button.setPointerCapture(e.pointerId);
+                this.touchSpeed = speed;
+            });
+            const release = () => {
+                if (this.touchSpeed === speed) {
+                    this.touchSpeed = 0;
+                }
+            };
+            button.addEventListener('pointerup', release);
+            button.addEventListener('pointercancel', release);
+        });
+        
+        this.updateTouchButtons();
+    }
+
+    /**
+     * Show or hide the on-screen speed buttons (call after the setting changes)
+     */
+    updateTouchButtons() {
+        const container = document.getElementById('speed-buttons');
+        if (container) {
+            container.hidden = !CONFIG.mobile.speedButtons;
+        }
+    }
+
+    /**
+     * Handle a finger touching the canvas
+     *
+     * Tap halves change lanes towards the side tapped, or steer that way while held
+     * when steering freely. Lane zones split the canvas into one zone per lane and
+     * move to the lane touched. Swipes wait for the finger to move.
+     * @param {PointerEvent} e - Touch pointer event
+     * @param {HTMLCanvasElement} gameCanvas - Game canvas
+     */
+    handleTouchStart(e, gameCanvas) {
+        const rect = gameCanvas.getBoundingClientRect();
+        const x = (e.clientX - rect.left) / rect.width;
+        this.touches.set(e.pointerId, { startX: e.clientX, side: x < 0.5 ? -1 : 1 });
+        
+        const engine = this.gameEngine;
+        switch (CONFIG.mobile.touchScheme) {
+            case 'halves':
+                if (engine.steering === 'free') {
+                    this.updateTouchSteering();
+                } else {
+                    this.handleLaneChange(this.touches.get(e.pointerId).side);
+                }
+                break;
+            case 'zones':
+                this.touchLaneZone(x);
+                break;
+        }
+    }
+
+    /**
+     * Handle a finger moving over the canvas
+     * @param {PointerEvent} e - Touch pointer event
+     * @param {HTMLCanvasElement} gameCanvas - Game canvas
+     */
+    handleTouchMove(e, gameCanvas) {
+        const touch = this.touches.get(e.pointerId);
+        if (!touch) return;
+        
+        if (CONFIG.mobile.touchScheme === 'zones') {
+            // Sliding into another zone moves on to its lane
+            const rect = gameCanvas.getBoundingClientRect();
+            this.touchLaneZone((e.clientX - rect.left) / rect.width);
+        } else if (CONFIG.mobile.touchScheme === 'swipe') {
+            this.handleSwipe(e, touch);
+        }
+    }
+
+    /**
+     * Handle a finger leaving the canvas
+     * @param {PointerEvent} e - Touch pointer event
+     */
+    handleTouchEnd(e) {
+        if (!this.touches.delete(e.pointerId)) return;
+        
+        if (CONFIG.mobile.touchScheme === 'halves' && this.gameEngine.steering === 'free') {
+            this.updateTouchSteering();
+        } else if (CONFIG.mobile.touchScheme === 'swipe' && this.touches.size === 0) {
+            // Reset input when the last swipe ends
             this.horizontalInput = 0;
+        }
+    }
+
+    /**
+     * Change lanes with a touch swipe
+     *
+     * Each finger swipes on its own, over a distance shortened by touchSensitivity.
+     * @param {PointerEvent} e - Touch pointer event
+     * @param {Object} touch - The finger's touch ({startX})
+     */
+    handleSwipe(e, touch) {
+        const sensitivity = CONFIG.mobile.touchSensitivity;
+        const deltaX = (e.clientX - touch.startX) * sensitivity;
+        
+        // Update horizontal input based on touch movement
+        this.horizontalInput = Math.max(-1, Math.min(1, deltaX / 100));
+        this.steerTarget = null;
+        
+        // Handle lane changes based on threshold (free steering follows the finger instead)
+        if (this.gameEngine.steering === 'lanes' && Math.abs(deltaX) > CONFIG.mobile.swipeThreshold) {
+            const direction = deltaX > 0 ? 1 : -1;
+            this.handleLaneChange(direction);
+            
+            // Reset touch start to allow multiple swipes
+            touch.startX = e.clientX;
+        }
+    }
+
+    /**
+     * Steer towards the halves held down; holding both goes straight
+     */
+    updateTouchSteering() {
+        let horizontalInput = 0;
+        this.touches.forEach(touch => {
+            horizontalInput += touch.side;
         });
+        this.horizontalInput = THREE.MathUtils.clamp(horizontalInput, -1, 1);
+        this.steerTarget = null;
+    }
+
+    /**
+     * Move to the lane of a lane zone
+     * @param {number} x - Touch position across the canvas (0 left to 1 right)
+     */
+    touchLaneZone(x) {
+        const engine = this.gameEngine;
+        const lanes = engine.trackGenerator.lanes;
+        
+        // Zones run left to right; lane indices grow to the left
+        const zone = THREE.MathUtils.clamp(Math.floor(x * lanes), 0, lanes - 1);
+        this.steerTarget = lanes - 1 - zone;
+    }
+
+    /**
+     * Steer towards the cursor
+     *
+     * Snapping to lanes changes lane by lane towards the one under the cursor, in
+     * processLaneQueue(); free steering chases it in update().
+     * @param {PointerEvent} e - Mouse or pen pointer event
+     * @param {HTMLCanvasElement} gameCanvas - Game canvas
+     */
+    followPointer(e, gameCanvas) {
+        if (!CONFIG.pointer.steering || !this.pointerSteering) return;
+        
+        // A locked pointer stays put, so its movement drives a cursor of our own
+        const rect = gameCanvas.getBoundingClientRect();
+        const pointerX = document.pointerLockElement === gameCanvas
+            ? this.pointerX + e.movementX / rect.width
+            : (e.clientX - rect.left) / rect.width;
+        this.pointerX = THREE.MathUtils.clamp(pointerX, 0, 1);
+        this.steerTarget = this.getPointerLanePosition();
+    }
+
+    /**
+     * Get the position across the track under the cursor
+     * @returns {number} - Position in lanes (lane centers at whole numbers)
+     */
+    getPointerLanePosition() {
+        const lanes = this.gameEngine.trackGenerator.lanes;
+        
+        // The middle of the canvas is the middle of the track; lane indices grow to the left
+        const position = (lanes - 1) / 2 + (0.5 - this.pointerX) * lanes * CONFIG.game.sensitivity;
+        return THREE.MathUtils.clamp(position, 0, lanes - 1);
+    }
+
+    /**
+     * Map held mouse or pen buttons to a speed
+     * @param {number} buttons - PointerEvent.buttons
+     * @returns {number} - 1 for faster (middle), -1 for slower (right or pen barrel), 0 for neither
+     */
+    getPointerSpeed(buttons) {
+        if (buttons & 4) return 1;
+        if (buttons & 2) return -1;
+        return 0;
+    }
+
+    /**
+     * Give the cursor back, e.g. when the game pauses or ends
+     */
+    releasePointerLock() {
+        if (document.pointerLockElement && document.exitPointerLock) {
+            this.hadPointerLock = false;
+            document.exitPointerLock();
+        }
+    }
+
+    /**
+     * Check whether the player steers the ship right now
+     * @returns {boolean} - False while paused, or while the autopilot or a replay steers
+     */
+    canSteer() {
+        const engine = this.gameEngine;
+        return engine.isPlaying && !engine.isPaused && !engine.isAutopilot && !engine.isReplay;
     }
 
     /**
@@ -111,131 +414,344 @@ class InputHandler {
      */
     initGamepadInput() {
         // Check for gamepad API support
-        if ('getGamepads' in navigator) {
-            // Poll for gamepad input
-            const gamepadPollingInterval = setInterval(() => {
-                if (!this.gameEngine.isPlaying || this.gameEngine.isPaused) return;
-                
-                const gamepads = navigator.getGamepads();
-                if (gamepads) {
-                    for (const gamepad of gamepads) {
-                        if (gamepad) {
-                            this.processGamepadInput(gamepad);
-                        }
-                    }
-                }
-            }, 16); // ~60fps polling
+        if (!('getGamepads' in navigator)) return;
+        
+        // Poll only while the window has focus
+        window.addEventListener('blur', () => this.stopGamepadPolling());
+        window.addEventListener('focus', () => this.startGamepadPolling());
+        
+        window.addEventListener('gamepaddisconnected', (e) => {
+            this.gamepadActions.delete(e.gamepad.index);
+            this.gamepadButtons.delete(e.gamepad.index);
+            if (this.activeGamepad === e.gamepad.index) {
+                this.activeGamepad = null;
+            }
+        });
+        
+        this.startGamepadPolling();
+    }
+
+    /**
+     * Start polling the controllers, unless already polling
+     */
+    startGamepadPolling() {
+        if (this.gamepadInterval !== null) return;
+        this.gamepadInterval = setInterval(() => this.pollGamepads(), 16); // ~60fps polling
+    }
+
+    /**
+     * Stop polling the controllers and release whatever they held
+     */
+    stopGamepadPolling() {
+        clearInterval(this.gamepadInterval);
+        this.gamepadInterval = null;
+        this.gamepadActions.clear();
+        this.gamepadButtons.clear();
+        this.gamepadHeld.clear();
+        this.menuDirection = null;
+    }
+
+    /**
+     * Read every connected controller
+     */
+    pollGamepads() {
+        const held = new Set();
+        let menuDirection = null;
+        
+        for (const gamepad of navigator.getGamepads()) {
+            if (!gamepad) continue;
             
-            // Clean up interval when window loses focus
-            window.addEventListener('blur', () => {
-                clearInterval(gamepadPollingInterval);
-            });
+            const buttons = gamepad.buttons.map(button => button.pressed);
+            const previousButtons = this.gamepadButtons.get(gamepad.index) || [];
+            this.gamepadButtons.set(gamepad.index, buttons);
             
-            // Restart interval when window gains focus
-            window.addEventListener('focus', () => {
-                clearInterval(gamepadPollingInterval);
-                this.initGamepadInput();
-            });
+            // While remapping, the next button pressed is the new binding and does nothing else
+            if (this.buttonCapture) {
+                this.gamepadActions.set(gamepad.index, this.gamepadProfiles.getPressedActions(gamepad));
+                const button = buttons.findIndex((pressed, index) => pressed && !previousButtons[index]);
+                if (button >= 0 && gamepad.id === this.buttonCapture.padId) {
+                    const callback = this.buttonCapture.callback;
+                    this.buttonCapture = null;
+                    callback(button);
+                }
+                continue;
+            }
+            
+            menuDirection = this.processGamepadInput(gamepad, held) || menuDirection;
         }
+        
+        this.gamepadHeld = held;
+        this.repeatMenuDirection(menuDirection);
     }
 
     /**
      * Process gamepad input
      * @param {Gamepad} gamepad - Gamepad object
+     * @param {Set} held - Actions held so far this poll (added to)
+     * @returns {string|null} - Direction held for moving through menus
      */
-    processGamepadInput(gamepad) {
-        // Handle analog sticks and d-pad
-        const leftStickX = gamepad.axes[0];
-        const dpadRight = gamepad.buttons[15]?.pressed;
-        const dpadLeft = gamepad.buttons[14]?.pressed;
+    processGamepadInput(gamepad, held) {
+        const profile = this.gamepadProfiles.getProfile(gamepad.id, gamepad.mapping);
+        const actions = this.gamepadProfiles.getPressedActions(gamepad);
+        const previous = this.gamepadActions.get(gamepad.index) || new Set();
+        const pressed = [...actions].filter(action => !previous.has(action));
+        this.gamepadActions.set(gamepad.index, actions);
+        actions.forEach(action => held.add(action));
+        
+        const deadzone = CONFIG.gamepad.deadzone;
+        const stickX = gamepad.axes[profile.stickX] || 0;
+        const stickY = gamepad.axes[profile.stickY] || 0;
+        if (pressed.length || Math.abs(stickX) > deadzone || Math.abs(stickY) > deadzone) {
+            this.activeGamepad = gamepad.index;
+        }
+        
+        const engine = this.gameEngine;
+        if (!engine.isPlaying || engine.isPaused || engine.isGameOver) {
+            return this.processGamepadMenuInput(actions, pressed, stickX, stickY);
+        }
         
         // Update horizontal input
-        if (Math.abs(leftStickX) > 0.1) {
-            this.horizontalInput = leftStickX;
+        const isSteering = Math.abs(stickX) > deadzone || actions.has('left') || actions.has('right');
+        if (isSteering) {
+            this.isGamepadSteering = true;
+            this.steerTarget = null;
+        }
+        if (Math.abs(stickX) > deadzone) {
+            this.horizontalInput = stickX;
             
-            // Handle lane changes
-            if (leftStickX > 0.7) {
-                this.handleLaneChange(1);
-            } else if (leftStickX < -0.7) {
-                this.handleLaneChange(-1);
+            // Handle lane changes; more sensitivity needs less stick. A held stick
+            // repeats, so it isn't queued
+            const threshold = Math.min(0.95, 0.7 / CONFIG.game.sensitivity);
+            if (stickX > threshold) {
+                this.handleLaneChange(1, false);
+            } else if (stickX < -threshold) {
+                this.handleLaneChange(-1, false);
             }
-        } else if (dpadRight) {
-            this.handleLaneChange(1);
+        } else if (actions.has('right')) {
+            this.handleLaneChange(1, pressed.includes('right'));
             this.horizontalInput = 0.5;
-        } else if (dpadLeft) {
-            this.handleLaneChange(-1);
+        } else if (actions.has('left')) {
+            this.handleLaneChange(-1, pressed.includes('left'));
             this.horizontalInput = -0.5;
-        } else {
-            // Reset horizontal input if no gamepad input
+        } else if (this.isGamepadSteering) {
+            // Reset horizontal input once the gamepad lets go
             this.horizontalInput = 0;
+            this.isGamepadSteering = false;
         }
         
-        // Handle pause button
-        if (gamepad.buttons[9]?.pressed) { // Start button
-            if (this.gameEngine.isPlaying && !this.gameEngine.isGameOver) {
-                if (this.gameEngine.isPaused) {
-                    window.uiController.resumeGame();
-                } else {
-                    window.uiController.pauseGame();
-                }
-            }
+        if (pressed.includes('pause')) {
+            window.uiController.pauseGame();
+            window.uiController.moveFocus('down');
+        } else if (pressed.includes('restart')) {
+            window.uiController.restartGame();
+        }
+        return null;
+    }
+
+    /**
+     * Process gamepad input on menus and the pause menu
+     * @param {Set} actions - Actions held
+     * @param {Array} pressed - Actions pressed since the last poll
+     * @param {number} stickX - Horizontal stick position (-1 to 1)
+     * @param {number} stickY - Vertical stick position (-1 up to 1 down)
+     * @returns {string|null} - Direction held
+     */
+    processGamepadMenuInput(actions, pressed, stickX, stickY) {
+        const ui = window.uiController;
+        const engine = this.gameEngine;
+        this.horizontalInput = 0;
+        if (!ui) return null;
+        
+        if (pressed.includes('confirm')) {
+            ui.activateFocus();
+        } else if (pressed.includes('back')) {
+            ui.navigateBack();
+        } else if (pressed.includes('pause') && engine.isPlaying && engine.isPaused && !engine.isGameOver) {
+            ui.resumeGame();
+        }
+        
+        if (actions.has('faster') || stickY < -0.5) return 'up';
+        if (actions.has('slower') || stickY > 0.5) return 'down';
+        if (actions.has('left') || stickX < -0.5) return 'left';
+        if (actions.has('right') || stickX > 0.5) return 'right';
+        return null;
+    }
+
+    /**
+     * Move the menu focus when a direction is pressed, and again while it is held
+     * @param {string|null} direction - Direction held ('up', 'down', 'left', 'right')
+     */
+    repeatMenuDirection(direction) {
+        const now = performance.now() / 1000;
+        if (direction !== this.menuDirection) {
+            this.menuDirection = direction;
+            this.menuRepeatAt = now + CONFIG.gamepad.menuRepeatDelay;
+        } else if (!direction || now < this.menuRepeatAt) {
+            return;
+        } else {
+            this.menuRepeatAt = now + CONFIG.gamepad.menuRepeatRate;
+        }
+        
+        if (direction && window.uiController) {
+            window.uiController.moveFocus(direction);
         }
     }
 
+    /**
+     * Wait for a button on a controller, for remapping
+     * @param {string} padId - Gamepad.id of the controller
+     * @param {Function} callback - Called with the button index
+     */
+    captureButton(padId, callback) {
+        this.buttonCapture = { padId, callback };
+    }
+
+    /**
+     * Stop waiting for a button
+     */
+    cancelButtonCapture() {
+        this.buttonCapture = null;
+    }
+
+    /**
+     * Rumble the controller played with last
+     * @param {Object} effect - {duration: ms, strong, weak: magnitudes (0-1)}
+     */
+    rumble(effect) {
+        if (!CONFIG.gamepad.rumble || this.activeGamepad === null || !('getGamepads' in navigator)) return;
+        
+        const gamepad = navigator.getGamepads()[this.activeGamepad];
+        const actuator = gamepad && gamepad.vibrationActuator;
+        if (!actuator || !actuator.playEffect) return;
+        
+        actuator.playEffect('dual-rumble', {
+            duration: effect.duration,
+            strongMagnitude: effect.strong,
+            weakMagnitude: effect.weak
+        }).catch(error => console.warn('Gamepad rumble failed:', error));
+    }
+
     /**
      * Update input state (call this in game loop)
      */
     update() {
-        // Get current keyboard layout
-        const layout = CONFIG.keyboard.layouts[CONFIG.keyboard.currentLayout];
-        
         // Update horizontal input from keyboard
         let horizontalInput = 0;
-        if (this.keyState[layout.left] || this.keyState['ArrowLeft']) {
+        if (this.isActionHeld('left')) {
             horizontalInput -= 1;
         }
-        if (this.keyState[layout.right] || this.keyState['ArrowRight']) {
+        if (this.isActionHeld('right')) {
             horizontalInput += 1;
         }
         
-        // If keyboard is being used, override other input methods
+        // If keyboard is being used, override other input methods, and let go when it stops
         if (horizontalInput !== 0) {
             this.horizontalInput = horizontalInput;
+            this.isKeyboardSteering = true;
+            this.steerTarget = null;
+            this.pointerSteering = false;
+        } else if (this.isKeyboardSteering) {
+            this.horizontalInput = 0;
+            this.isKeyboardSteering = false;
+        }
+        
+        // Free steering chases the cursor or lane zone, harder the further away it is
+        if (this.steerTarget !== null && this.gameEngine.steering === 'free') {
+            const distance = this.gameEngine.lanePosition - this.steerTarget;
+            this.horizontalInput = THREE.MathUtils.clamp(distance * 2, -1, 1);
         }
         
         // Apply horizontal input to game engine
-        if (this.gameEngine.isPlaying && !this.gameEngine.isPaused) {
-            // Adjust ship speed based on forward/backward input
-            if (this.keyState[layout.up] || this.keyState['ArrowUp']) {
-                this.gameEngine.setTargetSpeed(1.5);
-            } else if (this.keyState[layout.down] || this.keyState['ArrowDown']) {
-                this.gameEngine.setTargetSpeed(0.5);
+        if (this.canSteer()) {
+            // Adjust ship speed based on forward/backward input, mouse buttons, the wheel
+            // or the on-screen buttons
+            const wheelSpeed = performance.now() / 1000 < this.wheelUntil ? this.wheelSpeed : 0;
+            const pointerSpeed = this.pointerSpeed || this.touchSpeed || wheelSpeed;
+            if (this.isActionHeld('faster') || pointerSpeed > 0) {
+                this.speedInput = 1.5;
+            } else if (this.isActionHeld('slower') || pointerSpeed < 0) {
+                this.speedInput = 0.5;
             } else {
-                this.gameEngine.setTargetSpeed(1.0);
+                this.speedInput = 1.0;
             }
         }
     }
 
     /**
      * Handle lane change
+     *
+     * A press while a lane change is under way waits in a queue, up to laneBuffer
+     * deep, and runs as the change before it completes, so quick double taps jump two
+     * lanes. Repeats from held keys and sticks are dropped instead.
      * @param {number} direction - Direction (-1 for left, 1 for right)
+     * @param {boolean} buffer - Queue the change if it can't run yet
      */
-    handleLaneChange(direction) {
-        // Check if enough time has passed since last lane change
-        const now = Date.now();
-        if (now - this.lastLaneChange < this.laneChangeDelay) {
-            return;
+    handleLaneChange(direction, buffer = true) {
+        // Free steering moves on horizontalInput alone, and the autopilot or a replay may be steering
+        if (this.gameEngine.steering === 'free' || !this.canSteer()) return;
+        
+        // Pressing for a lane takes over from the cursor and lane zones
+        this.steerTarget = null;
+        this.pointerSteering = false;
+        
+        const time = this.gameEngine.getSongTime();
+        if (this.laneQueue.length === 0 && time >= this.laneChangeEnd) {
+            this.runLaneChange(direction, time, time);
+        } else if (buffer && this.laneQueue.length < CONFIG.input.laneBuffer) {
+            this.laneQueue.push({ direction, time });
+        }
+    }
+
+    /**
+     * Run the queued lane changes whose turn has come (call once per simulation step)
+     *
+     * Each runs at the playback time the change before it completes, not at the step,
+     * so its timing doesn't depend on the step rate. Once the queue is empty, the ship
+     * heads for the lane under the cursor or lane zone one lane change at a time, so
+     * those wait out laneChangeDelay like key presses.
+     * @param {number} time - Playback time of the step in seconds
+     */
+    processLaneQueue(time) {
+        while (this.laneQueue.length > 0) {
+            const next = this.laneQueue[0];
+            const due = Math.max(next.time, this.laneChangeEnd);
+            if (due > time) return;
+            
+            this.laneQueue.shift();
+            this.runLaneChange(next.direction, due, next.time);
         }
         
-        // Update last lane change time
-        this.lastLaneChange = now;
+        const engine = this.gameEngine;
+        if (this.steerTarget === null || engine.steering !== 'lanes' || time < this.laneChangeEnd) return;
         
-        // Change lane in game engine
-        if (this.gameEngine.isPlaying && !this.gameEngine.isPaused) {
-            this.gameEngine.changeLane(-direction); // Fix inverted controls by negating direction
+        // Lane indices grow to the left, the way a left press moves
+        const lane = Math.round(this.steerTarget);
+        if (lane !== engine.playerLane) {
+            this.runLaneChange(lane > engine.playerLane ? -1 : 1, time, time);
         }
     }
 
+    /**
+     * Change lanes and start the lane change delay
+     * @param {number} direction - Direction (-1 for left, 1 for right)
+     * @param {number} time - Playback time the change runs at in seconds
+     * @param {number} inputTime - Playback time the player asked for it in seconds
+     */
+    runLaneChange(direction, time, inputTime) {
+        this.laneChangeEnd = time + CONFIG.input.laneChangeDelay;
+        this.gameEngine.changeLane(-direction, time, inputTime); // Fix inverted controls by negating direction
+    }
+
+    /**
+     * Forget queued lane changes and the lane the cursor asked for, e.g. when a run starts
+     */
+    clearLaneQueue() {
+        this.laneQueue = [];
+        this.laneChangeEnd = -Infinity;
+        this.steerTarget = null;
+        this.pointerSteering = false;
+    }
+
     /**
      * Check if the device is mobile
      * @returns {boolean} - True if mobile device
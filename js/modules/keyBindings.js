@@ -0,0 +1,152 @@
+/**
+ * KeyBindings - Keyboard profiles that map game actions to keys
+ *
+ * Built-in profiles come from CONFIG.keyboard.profiles. The player's own profiles,
+ * and their edits of built-in ones, live in a separate object of the same shape so
+ * a built-in profile can always be reset:
+ * {id: {name, bindings: {action: [KeyboardEvent.code, ...]}}}
+ */
+class KeyBindings {
+    /**
+     * @param {Object} customProfiles - The player's profiles (edited in place)
+     */
+    constructor(customProfiles = CONFIG.keyboard.customProfiles) {
+        this.customProfiles = customProfiles;
+        this.maxBindings = CONFIG.keyboard.maxBindings;
+    }
+
+    /**
+     * Get the ids of every profile, built-in ones first
+     * @returns {Array} - Profile ids
+     */
+    getProfileIds() {
+        const ids = Object.keys(CONFIG.keyboard.profiles);
+        Object.keys(this.customProfiles).forEach(id => {
+            if (!ids.includes(id)) ids.push(id);
+        });
+        return ids;
+    }
+
+    /**
+     * Get a profile, with the player's edits
+     * @param {string} id - Profile id
+     * @returns {Object|null} - {name, bindings}, or null if there is no such profile
+     */
+    getProfile(id) {
+        return this.customProfiles[id] || CONFIG.keyboard.profiles[id] || null;
+    }
+
+    /**
+     * Check whether a profile ships with the game
+     * @param {string} id - Profile id
+     * @returns {boolean} - True for built-in profiles
+     */
+    isBuiltIn(id) {
+        return id in CONFIG.keyboard.profiles;
+    }
+
+    /**
+     * Get the actions each key of a profile triggers
+     * @param {string} id - Profile id
+     * @returns {Map} - KeyboardEvent.code => [actions]
+     */
+    getActionMap(id) {
+        const profile = this.getProfile(id) || CONFIG.keyboard.profiles[Object.keys(CONFIG.keyboard.profiles)[0]];
+        const actionMap = new Map();
+
+        Object.keys(CONFIG.keyboard.actions).forEach(action => {
+            (profile.bindings[action] || []).forEach(code => {
+                if (!actionMap.has(code)) actionMap.set(code, []);
+                actionMap.get(code).push(action);
+            });
+        });
+        return actionMap;
+    }
+
+    /**
+     * Get a profile the player can change, copying a built-in one on first edit
+     * @param {string} id - Profile id
+     * @returns {Object} - Editable profile
+     */
+    getEditableProfile(id) {
+        if (!this.customProfiles[id]) {
+            this.customProfiles[id] = JSON.parse(JSON.stringify(CONFIG.keyboard.profiles[id]));
+        }
+        return this.customProfiles[id];
+    }
+
+    /**
+     * Bind a key to an action, taking it from any other action of the profile
+     * @param {string} id - Profile id
+     * @param {string} action - Action name
+     * @param {string} code - KeyboardEvent.code
+     * @returns {Object} - {conflict: action the key was taken from, dropped: key pushed out by the limit}
+     */
+    bind(id, action, code) {
+        const bindings = this.getEditableProfile(id).bindings;
+        const result = { conflict: null, dropped: null };
+
+        for (const other in bindings) {
+            if (other !== action && bindings[other].includes(code)) {
+                bindings[other] = bindings[other].filter(bound => bound !== code);
+                result.conflict = other;
+            }
+        }
+
+        const keys = (bindings[action] || []).filter(bound => bound !== code);
+        keys.push(code);
+        if (keys.length > this.maxBindings) {
+            result.dropped = keys.shift();
+        }
+        bindings[action] = keys;
+        return result;
+    }
+
+    /**
+     * Remove a key from an action
+     * @param {string} id - Profile id
+     * @param {string} action - Action name
+     * @param {string} code - KeyboardEvent.code
+     */
+    unbind(id, action, code) {
+        const bindings = this.getEditableProfile(id).bindings;
+        bindings[action] = (bindings[action] || []).filter(bound => bound !== code);
+    }
+
+    /**
+     * Create a profile from a copy of another
+     * @param {string} name - Profile name
+     * @param {string} fromId - Profile to copy
+     * @returns {string} - New profile id
+     */
+    createProfile(name, fromId) {
+        const id = `custom-${Date.now().toString(36)}`;
+        this.customProfiles[id] = {
+            name,
+            bindings: JSON.parse(JSON.stringify(this.getProfile(fromId).bindings))
+        };
+        return id;
+    }
+
+    /**
+     * Delete a profile of the player's, or undo their edits of a built-in one
+     * @param {string} id - Profile id
+     */
+    deleteProfile(id) {
+        delete this.customProfiles[id];
+    }
+
+    /**
+     * Get a readable name for a key
+     * @param {string} code - KeyboardEvent.code
+     * @returns {string} - Key name
+     */
+    getKeyName(code) {
+        const arrows = { ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓' };
+        if (arrows[code]) return arrows[code];
+        if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+        if (/^Digit\d$/.test(code)) return code.slice(5);
+        if (code === 'Escape') return 'Esc';
+        return code.replace(/^Numpad/, 'Num ');
+    }
+}
@@ -0,0 +1,142 @@
+/**
+ * LatencyCalibrator - Measures how late the player hears the music
+ *
+ * Plays a click track and collects taps. The browser's reported output latency
+ * says when each click should reach the speakers; the taps correct that for what
+ * the browser can't see, like Bluetooth headphones.
+ */
+class LatencyCalibrator {
+    /**
+     * @param {AudioProcessor} audioProcessor - Audio processor to click through
+     */
+    constructor(audioProcessor) {
+        this.audioProcessor = audioProcessor;
+        this.clickInterval = CONFIG.calibration.clickInterval;
+        this.clickCount = CONFIG.calibration.clicks;
+        this.warmupClicks = CONFIG.calibration.warmupClicks;
+        this.minTaps = CONFIG.calibration.minTaps;
+        this.clicks = [];
+        this.taps = [];
+        this.oscillators = [];
+        this.isRunning = false;
+    }
+
+    /**
+     * Start the click track
+     * @returns {boolean} - False if audio isn't available
+     */
+    start() {
+        this.stop();
+
+        if (!this.audioProcessor.ensureContext()) {
+            return false;
+        }
+        const context = this.audioProcessor.audioContext;
+
+        // Leave a moment before the first click to get ready
+        const firstClick = context.currentTime + 1;
+        this.clicks = [];
+        this.taps = [];
+        for (let i = 0; i < this.clickCount; i++) {
+            const time = firstClick + i * this.clickInterval;
+            this.clicks.push(time);
+            this.oscillators.push(this.audioProcessor.playClick(time, i % 4 === 0));
+        }
+        this.isRunning = true;
+        return true;
+    }
+
+    /**
+     * Record a tap at the current audio time
+     */
+    tap() {
+        if (this.isRunning) {
+            this.taps.push(this.audioProcessor.audioContext.currentTime);
+        }
+    }
+
+    /**
+     * Stop the click track early
+     */
+    stop() {
+        this.oscillators.forEach(oscillator => {
+            try {
+                oscillator.stop();
+            } catch (error) {
+                // Already finished
+            }
+        });
+        this.oscillators = [];
+        this.isRunning = false;
+    }
+
+    /**
+     * Get how far the click track has got
+     * @returns {Object} - {clicks: clicks played, total, taps, finished}
+     */
+    getProgress() {
+        const now = this.audioProcessor.audioContext.currentTime;
+        return {
+            clicks: this.clicks.filter(time => time <= now).length,
+            total: this.clicks.length,
+            taps: this.taps.length,
+            finished: this.clicks.length > 0 && now > this.clicks[this.clicks.length - 1] + this.clickInterval
+        };
+    }
+
+    /**
+     * Get the last click that reached the speakers, by the reported latency
+     * @returns {number|null} - Audio context time the click was played, or null before the first
+     */
+    getLastHeardClick() {
+        const heard = this.audioProcessor.audioContext.currentTime - this.audioProcessor.getReportedLatency();
+        const played = this.clicks.filter(time => time <= heard);
+        return played.length ? played[played.length - 1] : null;
+    }
+
+    /**
+     * Work out the latency offset from the taps
+     * @returns {Object} - {offset, reported, tapOffset, taps, spread} in seconds
+     *     (tapOffset and spread are null when there were too few taps)
+     */
+    getResult() {
+        const reported = this.audioProcessor.getReportedLatency();
+
+        // Pair each tap with the click it answers, measured from when the click left
+        // the speakers; the first clicks are for finding the beat
+        const counted = this.clicks.slice(this.warmupClicks);
+        const residuals = [];
+        this.taps.forEach(tap => {
+            let nearest = null;
+            counted.forEach(click => {
+                const residual = tap - (click + reported);
+                if (nearest === null || Math.abs(residual) < Math.abs(nearest)) {
+                    nearest = residual;
+                }
+            });
+            if (nearest !== null && Math.abs(nearest) < this.clickInterval / 2) {
+                residuals.push(nearest);
+            }
+        });
+
+        if (residuals.length < this.minTaps) {
+            return { offset: reported, reported, tapOffset: null, taps: residuals.length, spread: null };
+        }
+
+        const tapOffset = this.median(residuals);
+        const spread = this.median(residuals.map(residual => Math.abs(residual - tapOffset)));
+        const offset = THREE.MathUtils.clamp(reported + tapOffset, 0, CONFIG.calibration.maxOffset);
+        return { offset, reported, tapOffset, taps: residuals.length, spread };
+    }
+
+    /**
+     * Get the median of a list of numbers
+     * @param {Array} values - Numbers
+     * @returns {number} - Median
+     */
+    median(values) {
+        const sorted = values.slice().sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+}
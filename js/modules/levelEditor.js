@@ -0,0 +1,524 @@
+/**
+ * LevelEditor - Waveform timeline for fixing the blocks of a chart by hand
+ */
+class LevelEditor {
+    /**
+     * @param {GameEngine} gameEngine - Game engine (for audio playback)
+     */
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+        this.audioProcessor = gameEngine.audioProcessor;
+        this.canvas = document.getElementById('editor-timeline');
+        this.context = this.canvas.getContext('2d');
+        this.playButton = document.getElementById('editor-play-button');
+        this.timeDisplay = document.getElementById('editor-time');
+        this.palette = document.getElementById('editor-palette');
+        this.snapSelect = document.getElementById('editor-snap');
+
+        this.chart = null;
+        this.duration = 0;
+        this.waveform = null;
+        this.isOpen = false;
+        this.isDirty = false;
+        this.selectedBlock = null;
+        this.colorIndex = 0;
+        this.snapDivision = CONFIG.editor.snapDivision;
+        this.pixelsPerSecond = CONFIG.editor.pixelsPerSecond;
+        this.scrollTime = 0;
+        this.cursorTime = 0;
+        this.drag = null;
+        this.rulerHeight = 24;
+
+        this.initPalette();
+        this.initEventHandlers();
+    }
+
+    /**
+     * Create one swatch per block color
+     */
+    initPalette() {
+        CONFIG.visuals.blockColors.forEach((color, index) => {
+            const swatch = document.createElement('button');
+            swatch.className = 'editor-swatch';
+            swatch.style.backgroundColor = this.toCssColor(color);
+            swatch.title = `Color ${index + 1}`;
+            swatch.addEventListener('click', () => this.setColor(index));
+            this.palette.appendChild(swatch);
+        });
+    }
+
+    /**
+     * Initialize timeline and toolbar event handlers
+     */
+    initEventHandlers() {
+        this.canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        this.canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        this.canvas.addEventListener('pointerup', () => {
+            this.drag = null;
+        });
+        this.canvas.addEventListener('contextmenu', (e) => {
+            // Right-click deletes
+            e.preventDefault();
+            const block = this.findBlockAt(e.offsetX, e.offsetY);
+            if (block) this.deleteBlock(block);
+        });
+
+        this.canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            if (e.ctrlKey) {
+                this.zoom(e.deltaY < 0 ? 1.25 : 0.8, this.xToTime(e.offsetX));
+            } else {
+                this.scrollTo(this.scrollTime + (e.deltaX || e.deltaY) / this.pixelsPerSecond);
+            }
+        }, { passive: false });
+
+        this.playButton.addEventListener('click', () => this.togglePlayback());
+        document.getElementById('editor-zoom-in').addEventListener('click', () => this.zoom(1.25, this.cursorTime));
+        document.getElementById('editor-zoom-out').addEventListener('click', () => this.zoom(0.8, this.cursorTime));
+        this.snapSelect.addEventListener('change', () => {
+            this.snapDivision = Number(this.snapSelect.value);
+        });
+
+        window.addEventListener('keydown', (e) => this.handleKeyDown(e));
+        window.addEventListener('resize', () => {
+            if (this.isOpen) this.resizeCanvas();
+        });
+    }
+
+    /**
+     * Start editing a chart
+     * @param {Object} chart - Chart to edit (a working copy is made)
+     */
+    open(chart) {
+        this.chart = JSON.parse(JSON.stringify(chart));
+        this.duration = this.audioProcessor.audioData.duration;
+        this.waveform = this.audioProcessor.getWaveformPeaks(CONFIG.editor.waveformResolution);
+        this.isDirty = false;
+        this.selectedBlock = null;
+        this.scrollTime = 0;
+        this.cursorTime = 0;
+        this.snapSelect.value = String(this.snapDivision);
+        this.setColor(this.colorIndex);
+        this.resume();
+    }
+
+    /**
+     * Show the editor again without resetting the working copy (e.g. after a test-play)
+     */
+    resume() {
+        this.isOpen = true;
+        this.audioProcessor.seek(this.cursorTime);
+        this.resizeCanvas();
+        this.drawLoop();
+    }
+
+    /**
+     * Stop playback and drawing
+     */
+    close() {
+        this.isOpen = false;
+        this.drag = null;
+        this.audioProcessor.pause();
+        this.updatePlayButton();
+    }
+
+    /**
+     * Get a copy of the edited chart with blocks in time order
+     * @returns {Object} - Chart
+     */
+    getChart() {
+        this.chart.blocks.sort((a, b) => a.time - b.time || a.lane - b.lane);
+        return JSON.parse(JSON.stringify(this.chart));
+    }
+
+    /**
+     * Match the canvas resolution to its size on screen
+     */
+    resizeCanvas() {
+        const ratio = window.devicePixelRatio || 1;
+        this.canvas.width = this.canvas.clientWidth * ratio;
+        this.canvas.height = this.canvas.clientHeight * ratio;
+        this.context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    }
+
+    /**
+     * Redraw every frame while open, following the playhead during playback
+     */
+    drawLoop() {
+        if (!this.isOpen) return;
+
+        if (this.audioProcessor.audioData.isPlaying) {
+            this.cursorTime = this.audioProcessor.getCurrentTime();
+            if (this.cursorTime >= this.duration) {
+                this.audioProcessor.pause();
+                this.cursorTime = this.duration;
+            }
+
+            // Page along with the playhead
+            const width = this.canvas.clientWidth;
+            const x = this.timeToX(this.cursorTime);
+            if (x > width * 0.8 || x < 0) {
+                this.scrollTo(this.cursorTime - width * 0.2 / this.pixelsPerSecond);
+            }
+        }
+
+        this.updatePlayButton();
+        this.draw();
+        requestAnimationFrame(() => this.drawLoop());
+    }
+
+    /**
+     * Draw the ruler, waveform, lanes, blocks and playhead
+     */
+    draw() {
+        const ctx = this.context;
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+        const laneHeight = this.getLaneHeight();
+        const startTime = this.scrollTime;
+        const endTime = this.xToTime(width);
+
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = 'rgba(0, 10, 30, 0.9)';
+        ctx.fillRect(0, 0, width, height);
+
+        // Waveform behind the lanes
+        const middle = this.rulerHeight + (height - this.rulerHeight) / 2;
+        const halfHeight = (height - this.rulerHeight) / 2;
+        ctx.fillStyle = 'rgba(0, 170, 255, 0.25)';
+        for (let x = 0; x < width; x++) {
+            const from = Math.floor(this.xToTime(x) * CONFIG.editor.waveformResolution);
+            const to = Math.max(from + 1, Math.floor(this.xToTime(x + 1) * CONFIG.editor.waveformResolution));
+            let peak = 0;
+            for (let i = Math.max(0, from); i < Math.min(this.waveform.length, to); i++) {
+                peak = Math.max(peak, this.waveform[i]);
+            }
+            ctx.fillRect(x, middle - peak * halfHeight, 1, peak * halfHeight * 2 || 1);
+        }
+
+        // Beat grid
+        const tempo = this.chart.tempo;
+        if (tempo) {
+            const step = tempo.beatInterval / this.snapDivision;
+            if (step * this.pixelsPerSecond >= 4) {
+                const first = Math.ceil((startTime - tempo.offset) / step);
+                for (let i = first; tempo.offset + i * step <= endTime; i++) {
+                    const beat = i / this.snapDivision;
+                    const isBeat = Number.isInteger(beat);
+                    const isBar = isBeat && ((beat - tempo.downbeatPhase) % tempo.beatsPerBar + tempo.beatsPerBar) % tempo.beatsPerBar === 0;
+                    ctx.fillStyle = isBar ? 'rgba(255, 255, 255, 0.45)' : isBeat ? 'rgba(255, 255, 255, 0.2)' : 'rgba(255, 255, 255, 0.07)';
+                    ctx.fillRect(Math.round(this.timeToX(tempo.offset + i * step)), this.rulerHeight, 1, height - this.rulerHeight);
+                }
+            }
+        }
+
+        // Lane separators and labels
+        ctx.fillStyle = 'rgba(0, 170, 255, 0.4)';
+        ctx.font = '11px sans-serif';
+        for (let lane = 0; lane < this.chart.lanes; lane++) {
+            const y = this.rulerHeight + lane * laneHeight;
+            ctx.fillRect(0, y, width, 1);
+            ctx.fillText(`Lane ${lane + 1}`, 4, y + 13);
+        }
+
+        // Ruler with a label every second (or less often when zoomed out)
+        ctx.fillStyle = 'rgba(0, 50, 100, 0.9)';
+        ctx.fillRect(0, 0, width, this.rulerHeight);
+        ctx.fillStyle = '#aaddff';
+        const labelStep = Math.max(1, Math.ceil(60 / this.pixelsPerSecond));
+        for (let second = Math.ceil(startTime / labelStep) * labelStep; second <= endTime; second += labelStep) {
+            const x = Math.round(this.timeToX(second));
+            ctx.fillRect(x, this.rulerHeight - 6, 1, 6);
+            ctx.fillText(this.formatTime(second, false), x + 3, 14);
+        }
+
+        // Blocks
+        const blockWidth = this.getBlockWidth();
+        for (const block of this.chart.blocks) {
+            if (block.time < startTime - 1 || block.time > endTime + 1) continue;
+
+            const x = this.timeToX(block.time);
+            const y = this.rulerHeight + block.lane * laneHeight + laneHeight * 0.2;
+            ctx.fillStyle = this.toCssColor(CONFIG.visuals.blockColors[block.color]);
+            ctx.fillRect(x - blockWidth / 2, y, blockWidth, laneHeight * 0.6);
+
+            if (block === this.selectedBlock) {
+                ctx.strokeStyle = '#ffffff';
+                ctx.lineWidth = 2;
+                ctx.strokeRect(x - blockWidth / 2 - 2, y - 2, blockWidth + 4, laneHeight * 0.6 + 4);
+            }
+        }
+
+        // Playhead
+        ctx.fillStyle = '#ff3366';
+        ctx.fillRect(Math.round(this.timeToX(this.cursorTime)), 0, 2, height);
+
+        this.timeDisplay.textContent = `${this.formatTime(this.cursorTime, true)} · ${this.chart.blocks.length} blocks`;
+    }
+
+    /**
+     * Handle a press on the timeline: scrub on the ruler, select or add blocks on the lanes
+     * @param {PointerEvent} e - Pointer event
+     */
+    handlePointerDown(e) {
+        if (e.button !== 0) return;
+        this.canvas.setPointerCapture(e.pointerId);
+
+        if (e.offsetY < this.rulerHeight) {
+            this.drag = { type: 'scrub' };
+            this.setCursor(this.xToTime(e.offsetX));
+            return;
+        }
+
+        let block = this.findBlockAt(e.offsetX, e.offsetY);
+        if (!block) {
+            block = this.addBlock(this.snapTime(this.xToTime(e.offsetX)), this.yToLane(e.offsetY));
+        }
+
+        this.selectedBlock = block;
+        this.drag = block ? { type: 'block', block } : null;
+    }
+
+    /**
+     * Scrub or move the dragged block
+     * @param {PointerEvent} e - Pointer event
+     */
+    handlePointerMove(e) {
+        if (!this.drag) return;
+
+        if (this.drag.type === 'scrub') {
+            this.setCursor(this.xToTime(e.offsetX));
+            return;
+        }
+
+        const block = this.drag.block;
+        const time = this.snapTime(this.xToTime(e.offsetX));
+        const lane = this.yToLane(e.offsetY);
+        if ((time !== block.time || lane !== block.lane) && !this.isOccupied(time, lane)) {
+            block.time = time;
+            block.lane = lane;
+            this.isDirty = true;
+        }
+    }
+
+    /**
+     * Editor keyboard shortcuts
+     * @param {KeyboardEvent} e - Keyboard event
+     */
+    handleKeyDown(e) {
+        if (!this.isOpen || e.target.tagName === 'SELECT') return;
+
+        if (e.code === 'Space') {
+            e.preventDefault();
+            this.togglePlayback();
+        } else if ((e.code === 'Delete' || e.code === 'Backspace') && this.selectedBlock) {
+            e.preventDefault();
+            this.deleteBlock(this.selectedBlock);
+        } else if (/^Digit[1-9]$/.test(e.code)) {
+            const index = Number(e.code.slice(5)) - 1;
+            if (index < CONFIG.visuals.blockColors.length) {
+                this.setColor(index);
+            }
+        }
+    }
+
+    /**
+     * Add a block unless the spot is taken
+     * @param {number} time - Block time in seconds
+     * @param {number} lane - Lane index
+     * @returns {Object|null} - The new block, or null
+     */
+    addBlock(time, lane) {
+        if (this.isOccupied(time, lane)) return null;
+
+        const block = { time, lane, color: this.colorIndex, type: 'normal', intensity: 1 };
+        this.chart.blocks.push(block);
+        this.isDirty = true;
+        return block;
+    }
+
+    /**
+     * Remove a block
+     * @param {Object} block - Chart block
+     */
+    deleteBlock(block) {
+        this.chart.blocks = this.chart.blocks.filter(other => other !== block);
+        if (this.selectedBlock === block) this.selectedBlock = null;
+        this.isDirty = true;
+    }
+
+    /**
+     * Choose the color for new blocks, recoloring the selected block
+     * @param {number} index - Block color index
+     */
+    setColor(index) {
+        this.colorIndex = index;
+        Array.from(this.palette.children).forEach((swatch, i) => {
+            swatch.classList.toggle('active', i === index);
+        });
+
+        if (this.selectedBlock && this.selectedBlock.color !== index) {
+            this.selectedBlock.color = index;
+            this.isDirty = true;
+        }
+    }
+
+    /**
+     * Find the block under a point on the timeline
+     * @param {number} x - X in CSS pixels
+     * @param {number} y - Y in CSS pixels
+     * @returns {Object|null} - Chart block or null
+     */
+    findBlockAt(x, y) {
+        if (y < this.rulerHeight) return null;
+
+        const lane = this.yToLane(y);
+        const halfWidth = this.getBlockWidth() / 2 + 2;
+        return this.chart.blocks.find(block =>
+            block.lane === lane && Math.abs(this.timeToX(block.time) - x) <= halfWidth
+        ) || null;
+    }
+
+    /**
+     * Check whether a block already sits at a time and lane
+     * @param {number} time - Time in seconds
+     * @param {number} lane - Lane index
+     * @returns {boolean} - True if taken
+     */
+    isOccupied(time, lane) {
+        return this.chart.blocks.some(block => block.lane === lane && Math.abs(block.time - time) < 0.0005);
+    }
+
+    /**
+     * Snap a time to the beat grid (or the chart resolution without a tempo)
+     * @param {number} time - Time in seconds
+     * @returns {number} - Snapped time, rounded to milliseconds
+     */
+    snapTime(time) {
+        const tempo = this.chart.tempo;
+        const origin = tempo ? tempo.offset : 0;
+        const step = tempo ? tempo.beatInterval / this.snapDivision : 1 / this.chart.resolution;
+
+        let snapped = origin + Math.round((time - origin) / step) * step;
+        if (snapped < 0) snapped += step;
+        if (snapped > this.duration) snapped -= step;
+        return Math.round(snapped * 1000) / 1000;
+    }
+
+    /**
+     * Play or pause from the cursor
+     */
+    togglePlayback() {
+        if (this.audioProcessor.audioData.isPlaying) {
+            this.audioProcessor.pause();
+        } else {
+            this.audioProcessor.seek(this.cursorTime >= this.duration ? 0 : this.cursorTime);
+            this.audioProcessor.resume();
+        }
+        this.updatePlayButton();
+    }
+
+    /**
+     * Move the cursor (and playback position)
+     * @param {number} time - Time in seconds
+     */
+    setCursor(time) {
+        this.cursorTime = Math.max(0, Math.min(this.duration, time));
+        this.audioProcessor.seek(this.cursorTime);
+    }
+
+    /**
+     * Change zoom, keeping a time under the same pixel
+     * @param {number} factor - Zoom factor
+     * @param {number} anchorTime - Time to keep in place
+     */
+    zoom(factor, anchorTime) {
+        const anchorX = this.timeToX(anchorTime);
+        this.pixelsPerSecond = Math.max(CONFIG.editor.minPixelsPerSecond,
+            Math.min(CONFIG.editor.maxPixelsPerSecond, this.pixelsPerSecond * factor));
+        this.scrollTo(anchorTime - anchorX / this.pixelsPerSecond);
+    }
+
+    /**
+     * Scroll the timeline
+     * @param {number} time - Time at the left edge
+     */
+    scrollTo(time) {
+        const visible = this.canvas.clientWidth / this.pixelsPerSecond;
+        this.scrollTime = Math.max(0, Math.min(Math.max(0, this.duration - visible * 0.5), time));
+    }
+
+    /**
+     * Reflect the playback state on the play button
+     */
+    updatePlayButton() {
+        this.playButton.textContent = this.audioProcessor.audioData.isPlaying ? 'Pause' : 'Play';
+    }
+
+    /**
+     * Convert a time to a timeline x position
+     * @param {number} time - Time in seconds
+     * @returns {number} - X in CSS pixels
+     */
+    timeToX(time) {
+        return (time - this.scrollTime) * this.pixelsPerSecond;
+    }
+
+    /**
+     * Convert a timeline x position to a time
+     * @param {number} x - X in CSS pixels
+     * @returns {number} - Time in seconds
+     */
+    xToTime(x) {
+        return this.scrollTime + x / this.pixelsPerSecond;
+    }
+
+    /**
+     * Convert a timeline y position to a lane
+     * @param {number} y - Y in CSS pixels
+     * @returns {number} - Lane index
+     */
+    yToLane(y) {
+        const lane = Math.floor((y - this.rulerHeight) / this.getLaneHeight());
+        return Math.max(0, Math.min(this.chart.lanes - 1, lane));
+    }
+
+    /**
+     * Get the height of one lane row
+     * @returns {number} - Height in CSS pixels
+     */
+    getLaneHeight() {
+        return (this.canvas.clientHeight - this.rulerHeight) / this.chart.lanes;
+    }
+
+    /**
+     * Get the drawn width of a block at the current zoom
+     * @returns {number} - Width in CSS pixels
+     */
+    getBlockWidth() {
+        return Math.max(6, Math.min(24, this.pixelsPerSecond * 0.08));
+    }
+
+    /**
+     * Format a time for the timeline
+     * @param {number} seconds - Time in seconds
+     * @param {boolean} precise - Include hundredths
+     * @returns {string} - Formatted time
+     */
+    formatTime(seconds, precise) {
+        const minutes = Math.floor(seconds / 60);
+        const secs = seconds - minutes * 60;
+        return precise
+            ? `${minutes}:${secs.toFixed(2).padStart(5, '0')}`
+            : `${minutes}:${Math.floor(secs).toString().padStart(2, '0')}`;
+    }
+
+    /**
+     * Convert a hex color to CSS
+     * @param {number} color - Color as hex value
+     * @returns {string} - CSS color string
+     */
+    toCssColor(color) {
+        return `#${color.toString(16).padStart(6, '0')}`;
+    }
+}
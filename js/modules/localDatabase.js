@@ -0,0 +1,128 @@
+/**
+ * LocalDatabase - Promise wrapper around the game's IndexedDB database
+ */
+class LocalDatabase {
+    constructor() {
+        this.name = CONFIG.storage.databaseName;
+        this.version = CONFIG.storage.databaseVersion;
+        this.stores = CONFIG.storage.stores;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open the database, creating missing object stores on upgrade
+     * @returns {Promise} - Resolves with the IDBDatabase
+     */
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error("IndexedDB is not available"));
+                return;
+            }
+
+            const request = indexedDB.open(this.name, this.version);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                for (const storeName in this.stores) {
+                    if (!db.objectStoreNames.contains(storeName)) {
+                        const store = db.createObjectStore(storeName, { keyPath: this.stores[storeName].keyPath });
+                        for (const index of this.stores[storeName].indexes || []) {
+                            store.createIndex(index, index);
+                        }
+                    }
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error("Database upgrade blocked by another tab"));
+        });
+
+        // Allow a later retry if opening failed
+        this.dbPromise.catch(() => {
+            this.dbPromise = null;
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a single request against an object store
+     * @param {string} storeName - Object store name
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} createRequest - Receives the store, returns an IDBRequest
+     * @returns {Promise} - Resolves with the request result once the transaction completes
+     */
+    run(storeName, mode, createRequest) {
+        return this.open().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = createRequest(transaction.objectStore(storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        }));
+    }
+
+    /**
+     * Get a record by key
+     * @param {string} storeName - Object store name
+     * @param {*} key - Record key
+     * @returns {Promise} - Resolves with the record or undefined
+     */
+    get(storeName, key) {
+        return this.run(storeName, 'readonly', store => store.get(key));
+    }
+
+    /**
+     * Get every record in a store
+     * @param {string} storeName - Object store name
+     * @returns {Promise} - Resolves with an array of records
+     */
+    getAll(storeName) {
+        return this.run(storeName, 'readonly', store => store.getAll());
+    }
+
+    /**
+     * Get every record with the given value of an index
+     * @param {string} storeName - Object store name
+     * @param {string} indexName - Index name
+     * @param {*} key - Index value
+     * @returns {Promise} - Resolves with an array of records
+     */
+    getAllFromIndex(storeName, indexName, key) {
+        return this.run(storeName, 'readonly', store => store.index(indexName).getAll(key));
+    }
+
+    /**
+     * Insert or replace a record
+     * @param {string} storeName - Object store name
+     * @param {Object} record - Record (must contain the key path)
+     * @returns {Promise} - Resolves with the record key
+     */
+    put(storeName, record) {
+        return this.run(storeName, 'readwrite', store => store.put(record));
+    }
+
+    /**
+     * Delete a record by key
+     * @param {string} storeName - Object store name
+     * @param {*} key - Record key
+     * @returns {Promise} - Resolves when deleted
+     */
+    delete(storeName, key) {
+        return this.run(storeName, 'readwrite', store => store.delete(key));
+    }
+
+    /**
+     * Delete every record in a store
+     * @param {string} storeName - Object store name
+     * @returns {Promise} - Resolves when cleared
+     */
+    clear(storeName) {
+        return this.run(storeName, 'readwrite', store => store.clear());
+    }
+}
@@ -0,0 +1,265 @@
+/**
+ * OnsetDetector - Spectral-flux onset detection with adaptive thresholding
+ */
+class OnsetDetector {
+    /**
+     * @param {number} sampleRate - Sample rate of the analyzed audio
+     * @param {number} binCount - Number of frequency bins per spectrum frame
+     */
+    constructor(sampleRate, binCount) {
+        const settings = CONFIG.audio.onset;
+
+        this.sampleRate = sampleRate;
+        this.binCount = binCount;
+        this.bandRanges = this.calculateBandRanges();
+        this.medianWindow = settings.medianWindow;
+        this.thresholdMultiplier = settings.thresholdMultiplier;
+        this.thresholdOffset = settings.thresholdOffset;
+        this.peakWindow = settings.peakWindow;
+        this.minInterval = settings.minInterval;
+        this.previousSpectrum = null;
+
+        // Rolling history used by the real-time detector
+        this.history = [];
+        this.historyLength = settings.medianWindow * 2 + 1;
+        this.runningPeak = 0;
+        this.runningBandPeaks = [];
+    }
+
+    /**
+     * Map the configured frequency bands to spectrum bin ranges
+     * @returns {Array} - Bin ranges ({minIndex, maxIndex}) for each band
+     */
+    calculateBandRanges() {
+        const nyquist = this.sampleRate / 2;
+
+        return CONFIG.audio.frequencyBands.map(band => {
+            const minIndex = Math.min(this.binCount - 1, Math.floor(band.min / nyquist * this.binCount));
+            const maxIndex = Math.min(this.binCount - 1, Math.floor(band.max / nyquist * this.binCount));
+            return { minIndex, maxIndex: Math.max(minIndex, maxIndex) };
+        });
+    }
+
+    /**
+     * Reset the detector state between tracks
+     */
+    reset() {
+        this.previousSpectrum = null;
+        this.history = [];
+        this.runningPeak = 0;
+        this.runningBandPeaks = [];
+    }
+
+    /**
+     * Compute half-wave rectified spectral flux in each band
+     * @param {Uint8Array} spectrum - Byte frequency data (dB scaled, 0-255)
+     * @returns {Array} - Flux in each band (0-1)
+     */
+    computeFlux(spectrum) {
+        const bandFlux = [];
+
+        for (const range of this.bandRanges) {
+            let flux = 0;
+
+            if (this.previousSpectrum) {
+                for (let i = range.minIndex; i <= range.maxIndex; i++) {
+                    // Only rising energy counts as an attack
+                    const difference = spectrum[i] - this.previousSpectrum[i];
+                    if (difference > 0) {
+                        flux += difference / 255;  // Normalize to 0-1
+                    }
+                }
+            }
+
+            bandFlux.push(flux / (range.maxIndex - range.minIndex + 1));
+        }
+
+        // Keep a copy for the next frame
+        this.previousSpectrum = Uint8Array.from(spectrum);
+
+        return bandFlux;
+    }
+
+    /**
+     * Detect onsets over a whole track of flux frames
+     * @param {Array} fluxFrames - Per-frame band flux arrays from computeFlux
+     * @param {number} frameRate - Number of frames per second
+     * @returns {Array} - Per-frame results ({onsetStrengths, strength, isOnset})
+     */
+    detectOnsets(fluxFrames, frameRate) {
+        const frameCount = fluxFrames.length;
+        const bandCount = this.bandRanges.length;
+        const minGap = Math.max(1, Math.round(this.minInterval * frameRate));
+
+        // Normalize every envelope against a robust maximum so loud and quiet
+        // masters produce comparable values before thresholding
+        const envelope = this.normalize(fluxFrames.map(bandFlux => this.combineBands(bandFlux)));
+
+        // Per-band peak picking
+        const bandStrengths = [];
+        for (let band = 0; band < bandCount; band++) {
+            const bandEnvelope = this.normalize(fluxFrames.map(bandFlux => bandFlux[band]));
+            bandStrengths.push(this.pickPeaks(bandEnvelope, minGap));
+        }
+
+        // Peak picking on the combined function decides where blocks go
+        const combinedStrengths = this.pickPeaks(envelope, minGap);
+
+        const results = [];
+        for (let i = 0; i < frameCount; i++) {
+            results.push({
+                onsetStrengths: bandStrengths.map(strengths => strengths[i]),
+                strength: Math.min(1, envelope[i]),
+                onsetStrength: combinedStrengths[i],
+                isOnset: combinedStrengths[i] > 0
+            });
+        }
+
+        return results;
+    }
+
+    /**
+     * Scale an envelope so its 95th percentile of active frames is 1
+     * @param {Array} envelope - Envelope values
+     * @returns {Array} - Normalized envelope
+     */
+    normalize(envelope) {
+        const peak = this.percentile(envelope.filter(value => value > 0), 0.95);
+        return peak > 0 ? envelope.map(value => value / peak) : envelope;
+    }
+
+    /**
+     * Pick peaks above a moving-median threshold
+     * @param {Array} envelope - Onset detection function
+     * @param {number} minGap - Minimum number of frames between peaks
+     * @returns {Array} - Onset strength per frame (0-1, 0 when no onset)
+     */
+    pickPeaks(envelope, minGap) {
+        const strengths = new Array(envelope.length).fill(0);
+        const excesses = [];
+        let lastPeak = -Infinity;
+
+        for (let i = 0; i < envelope.length; i++) {
+            const value = envelope[i];
+            if (value <= 0) continue;
+
+            // Must be the local maximum within the peak window
+            let isPeak = true;
+            const start = Math.max(0, i - this.peakWindow);
+            const end = Math.min(envelope.length - 1, i + this.peakWindow);
+            for (let j = start; j <= end; j++) {
+                if (envelope[j] > value || (j < i && envelope[j] === value)) {
+                    isPeak = false;
+                    break;
+                }
+            }
+            if (!isPeak) continue;
+
+            // Must rise above the adaptive threshold
+            const threshold = this.calculateThreshold(envelope, i);
+            if (value <= threshold) continue;
+
+            // Respect the minimum spacing between onsets
+            if (i - lastPeak < minGap) continue;
+
+            lastPeak = i;
+            strengths[i] = value - threshold;
+            excesses.push(value - threshold);
+        }
+
+        // Scale strengths to 0-1
+        const maxExcess = this.percentile(excesses, 0.95);
+        if (maxExcess > 0) {
+            for (let i = 0; i < strengths.length; i++) {
+                strengths[i] = Math.min(1, strengths[i] / maxExcess);
+            }
+        }
+
+        return strengths;
+    }
+
+    /**
+     * Calculate the adaptive threshold at a frame
+     * @param {Array} envelope - Onset detection function
+     * @param {number} index - Frame index
+     * @returns {number} - Threshold value
+     */
+    calculateThreshold(envelope, index) {
+        const start = Math.max(0, index - this.medianWindow);
+        const end = Math.min(envelope.length, index + this.medianWindow + 1);
+        const median = this.median(envelope.slice(start, end));
+
+        return median * this.thresholdMultiplier + this.thresholdOffset;
+    }
+
+    /**
+     * Process a single real-time frame
+     * @param {Uint8Array} spectrum - Byte frequency data (dB scaled, 0-255)
+     * @returns {Object} - Band flux, per-band onset strengths and beat intensity
+     */
+    processFrame(spectrum) {
+        const bandFlux = this.computeFlux(spectrum);
+        const value = this.combineBands(bandFlux);
+
+        // Threshold against the recent past only (causal)
+        this.history.push(bandFlux);
+        if (this.history.length > this.historyLength) {
+            this.history.shift();
+        }
+
+        const onsetStrengths = bandFlux.map((flux, band) => {
+            // Offset scales with the band's recent peak, like the offline normalization
+            const peak = Math.max(flux, (this.runningBandPeaks[band] || 0) * 0.995);
+            this.runningBandPeaks[band] = peak;
+
+            const threshold = this.median(this.history.map(frame => frame[band])) *
+                this.thresholdMultiplier + this.thresholdOffset * peak;
+            return flux > threshold ? Math.min(1, (flux - threshold) / flux) : 0;
+        });
+
+        // Slowly decaying peak for normalization
+        this.runningPeak = Math.max(value, this.runningPeak * 0.995);
+        const beatIntensity = this.runningPeak > 0 ? value / this.runningPeak : 0;
+
+        return { bandFlux, onsetStrengths, beatIntensity };
+    }
+
+    /**
+     * Combine band flux into a single onset value
+     * @param {Array} bandFlux - Flux in each band
+     * @returns {number} - Combined flux
+     */
+    combineBands(bandFlux) {
+        let sum = 0;
+        for (let i = 0; i < bandFlux.length; i++) {
+            sum += bandFlux[i];
+        }
+        return sum / bandFlux.length;
+    }
+
+    /**
+     * Median of an array of numbers
+     * @param {Array} values - Values
+     * @returns {number} - Median value
+     */
+    median(values) {
+        if (values.length === 0) return 0;
+
+        const sorted = values.slice().sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    /**
+     * Percentile of an array of numbers
+     * @param {Array} values - Values
+     * @param {number} fraction - Percentile (0-1)
+     * @returns {number} - Percentile value
+     */
+    percentile(values, fraction) {
+        if (values.length === 0) return 0;
+
+        const sorted = values.slice().sort((a, b) => a - b);
+        return sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+    }
+}
@@ -0,0 +1,303 @@
+/**
+ * ReplayManager - Records runs as timestamped inputs and plays them back
+ *
+ * Replays hold only what the player did, so they stay small:
+ * {
+ *   format: 'kuss-replay', version: 1,
+ *   audio: {hash, fileName},
+ *   chart: {hash, seed, difficulty},
+ *   startTime, date, autopilot, steering,
+ *   inputs: [[time, 'lane', lane, inputTime?] | [time, 'speed', targetSpeed] | [time, 'steer', input], ...],
+ *   events: [[time, blockIndex, judgment, speed], ...],
+ *   score
+ * }
+ * Times are playback seconds. Blocks are judged from lane change times alone, so
+ * feeding the inputs back at their times reproduces the run and its score. Free
+ * steering runs record their steering input, taken at simulation steps, instead of
+ * lanes; steering it again step by step retraces the ship. A lane change that waited
+ * in the input queue also keeps the time it was pressed, after the time it ran.
+ */
+class ReplayManager {
+    /**
+     * @param {GameEngine} gameEngine - Game engine to record and steer
+     */
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+        this.format = 'kuss-replay';
+        this.version = 1;
+        this.inputTypes = ['lane', 'speed', 'steer'];
+        this.steeringModes = ['lanes', 'free'];
+        this.judgments = ['perfect', 'great', 'good', 'miss'];
+        this.recording = null;
+        this.playback = null;
+        this.inputIndex = 0;
+        this.lastReplay = null;
+    }
+
+    /**
+     * Start recording a run
+     * @param {number} startTime - Song position the run starts from in seconds
+     */
+    startRecording(startTime) {
+        const engine = this.gameEngine;
+        const chart = engine.trackGenerator.chart;
+
+        this.recording = {
+            format: this.format,
+            version: this.version,
+            audio: {
+                hash: engine.audioProcessor.audioData.hash,
+                fileName: engine.audioProcessor.audioData.fileName
+            },
+            chart: {
+                hash: this.getChartHash(chart),
+                seed: chart.seed,
+                difficulty: chart.difficulty || 'normal'
+            },
+            startTime: this.round(startTime),
+            date: Date.now(),
+            autopilot: engine.isAutopilot,
+            steering: engine.steering,
+            inputs: [],
+            events: [],
+            score: null
+        };
+    }
+
+    /**
+     * Record a player input
+     * @param {number} time - Playback time in seconds
+     * @param {string} type - 'lane', 'speed' or 'steer'
+     * @param {number} value - New lane, target speed or steering input
+     * @param {number} inputTime - Playback time the player pressed for it, if earlier (optional)
+     */
+    recordInput(time, type, value, inputTime = time) {
+        if (!this.recording) return;
+
+        const input = [this.round(time), type, value];
+        if (this.round(inputTime) !== input[0]) {
+            input.push(this.round(inputTime));
+        }
+        this.recording.inputs.push(input);
+    }
+
+    /**
+     * Record a judged block
+     * @param {number} time - Playback time of the judgment in seconds
+     * @param {number} blockIndex - Index into TrackGenerator.blocks
+     * @param {string} judgment - Judgment of the block
+     * @param {number} speed - Ship speed the block was scored at
+     */
+    recordEvent(time, blockIndex, judgment, speed) {
+        if (this.recording) {
+            this.recording.events.push([this.round(time), blockIndex, judgment, speed]);
+        }
+    }
+
+    /**
+     * Finish the recording of a completed run
+     * @param {number} score - Final score of the run
+     * @returns {Object|null} - The replay, or null if nothing was recorded
+     */
+    finishRecording(score) {
+        if (!this.recording) return null;
+
+        this.recording.score = score;
+        this.lastReplay = this.recording;
+        this.recording = null;
+        return this.lastReplay;
+    }
+
+    /**
+     * Drop the recording of an abandoned run
+     */
+    cancelRecording() {
+        this.recording = null;
+    }
+
+    /**
+     * Start feeding a replay's inputs to the engine
+     * @param {Object} replay - Validated replay
+     */
+    startPlayback(replay) {
+        this.playback = replay;
+        this.inputIndex = 0;
+    }
+
+    /**
+     * Stop playing back
+     */
+    stopPlayback() {
+        this.playback = null;
+    }
+
+    /**
+     * Apply every replay input due by the given time (call once per simulation step)
+     * @param {number} time - Current playback time in seconds
+     */
+    update(time) {
+        if (!this.playback) return;
+
+        // Inputs taken at a step were stored rounded, possibly just past the step
+        const inputs = this.playback.inputs;
+        while (this.inputIndex < inputs.length && inputs[this.inputIndex][0] <= this.round(time)) {
+            const [inputTime, type, value] = inputs[this.inputIndex++];
+            if (type === 'lane') {
+                this.gameEngine.setLane(value, inputTime);
+            } else if (type === 'steer') {
+                this.gameEngine.setSteerInput(value, inputTime);
+            } else {
+                this.gameEngine.setTargetSpeed(value, inputTime);
+            }
+        }
+    }
+
+    /**
+     * Fingerprint the parts of a chart that decide how a run plays out
+     * @param {Object} chart - Chart object
+     * @returns {string} - Hex hash
+     */
+    getChartHash(chart) {
+        const content = JSON.stringify([chart.lanes, chart.resolution, chart.path, chart.blocks]);
+        return SeededRandom.hashString(content).toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Check that a replay was recorded on the loaded track and chart
+     * @param {Object} replay - Validated replay
+     * @returns {string|null} - Reason it can't be played, or null if it can
+     */
+    getIncompatibility(replay) {
+        const engine = this.gameEngine;
+        if (!engine.trackGenerator.chart || !engine.audioProcessor.analysisDone) {
+            return `Load "${replay.audio.fileName}" to watch this replay.`;
+        }
+        if (replay.audio.hash !== engine.audioProcessor.audioData.hash) {
+            return `This replay was recorded on "${replay.audio.fileName}".`;
+        }
+        if (replay.chart.hash !== this.getChartHash(engine.trackGenerator.chart)) {
+            return `This replay was recorded on a different chart (${replay.chart.difficulty}, seed ${replay.chart.seed}).`;
+        }
+        const lanes = engine.trackGenerator.lanes;
+        if (replay.inputs.some(([, type, value]) => type === 'lane' && value >= lanes)) {
+            return "This replay steers outside the track's lanes.";
+        }
+        return null;
+    }
+
+    /**
+     * Serialize a replay with one input per line
+     * @param {Object} replay - Replay object
+     * @returns {string} - JSON text
+     */
+    stringify(replay) {
+        const line = value => JSON.stringify(value);
+        const list = items => items.length
+            ? `[\n${items.map(item => `    ${line(item)}`).join(',\n')}\n  ]`
+            : '[]';
+
+        return [
+            '{',
+            `  "format": ${line(this.format)},`,
+            `  "version": ${line(this.version)},`,
+            `  "audio": ${line(replay.audio)},`,
+            `  "chart": ${line(replay.chart)},`,
+            `  "startTime": ${line(replay.startTime)},`,
+            `  "date": ${line(replay.date)},`,
+            `  "autopilot": ${line(replay.autopilot)},`,
+            `  "steering": ${line(replay.steering || 'lanes')},`,
+            `  "score": ${line(replay.score)},`,
+            `  "inputs": ${list(replay.inputs)},`,
+            `  "events": ${list(replay.events)}`,
+            '}',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Parse and validate replay JSON
+     * @param {string} text - JSON text
+     * @returns {Object} - Replay object
+     * @throws {Error} - If the text is not a valid replay
+     */
+    parse(text) {
+        let replay;
+        try {
+            replay = JSON.parse(text);
+        } catch (error) {
+            throw new Error("Replay is not valid JSON");
+        }
+
+        this.validate(replay);
+        return replay;
+    }
+
+    /**
+     * Validate a replay object
+     * @param {Object} replay - Replay object
+     * @throws {Error} - Describing the first problem found
+     */
+    validate(replay) {
+        const isNumber = value => typeof value === 'number' && isFinite(value);
+
+        if (!replay || replay.format !== this.format) {
+            throw new Error("Not a K.U.S.S replay file");
+        }
+        if (!Number.isInteger(replay.version) || replay.version < 1 || replay.version > this.version) {
+            throw new Error(`Unsupported replay version ${replay.version}`);
+        }
+        if (!replay.audio || typeof replay.audio.hash !== 'string' || typeof replay.audio.fileName !== 'string') {
+            throw new Error("Replay has no audio reference");
+        }
+        if (!replay.chart || typeof replay.chart.hash !== 'string' ||
+            !Number.isInteger(replay.chart.seed) || typeof replay.chart.difficulty !== 'string') {
+            throw new Error("Replay has no chart reference");
+        }
+        if (!isNumber(replay.startTime) || replay.startTime < 0 || !isNumber(replay.score)) {
+            throw new Error("Replay start time or score is invalid");
+        }
+        if (replay.steering !== undefined && !this.steeringModes.includes(replay.steering)) {
+            throw new Error(`Unknown replay steering "${replay.steering}"`);
+        }
+        if (!Array.isArray(replay.inputs) || !Array.isArray(replay.events)) {
+            throw new Error("Replay has no input list");
+        }
+        replay.inputs.forEach((input, index) => {
+            if (!Array.isArray(input) || !isNumber(input[0]) ||
+                !this.inputTypes.includes(input[1]) || !this.isInputValue(input[1], input[2]) ||
+                (input.length > 3 && !isNumber(input[3]))) {
+                throw new Error(`Replay input ${index} is invalid`);
+            }
+        });
+        replay.events.forEach((event, index) => {
+            if (!Array.isArray(event) || !isNumber(event[0]) ||
+                !Number.isInteger(event[1]) || event[1] < 0 ||
+                !this.judgments.includes(event[2]) ||
+                (event.length > 3 && !(isNumber(event[3]) && event[3] >= 0.5 && event[3] <= 1.5))) {
+                throw new Error(`Replay event ${index} is invalid`);
+            }
+        });
+    }
+
+    /**
+     * Check an input's value is one the engine could have recorded
+     * @param {string} type - 'lane', 'speed' or 'steer'
+     * @param {number} value - Input value
+     * @returns {boolean} - True if valid (lanes are checked against the track in getIncompatibility)
+     */
+    isInputValue(type, value) {
+        if (typeof value !== 'number' || !isFinite(value)) return false;
+        if (type === 'lane') return Number.isInteger(value) && value >= 0;
+        if (type === 'speed') return value >= 0.5 && value <= 1.5;
+        return Math.abs(value) <= 2;
+    }
+
+    /**
+     * Round a time to the millisecond
+     * @param {number} value - Time in seconds
+     * @returns {number} - Rounded time
+     */
+    round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+}
@@ -8,17 +8,22 @@ class ScoreManager {
         this.maxCombo = 0;
         this.currentMultiplier = 1.0;
         this.consecutiveBlocks = 0;
-        this.comboTimer = null;
+        this.lastHitTime = null;
         this.lastBlockColor = -1;
         this.colorMatches = 0;
         this.blockCollected = 0;
         this.perfect = 0;
+        this.maxColorChain = 0;
+        this.judgments = { perfect: 0, great: 0, good: 0, miss: 0 };
+        this.scoreMultiplier = 1.0;
     }
 
     /**
      * Reset score and combo
+     * @param {number} scoreMultiplier - Difficulty multiplier applied to all points
      */
-    resetScore() {
+    resetScore(scoreMultiplier = 1.0) {
+        this.scoreMultiplier = scoreMultiplier;
         this.score = 0;
         this.combo = 0;
         this.maxCombo = 0;
@@ -28,30 +33,31 @@ class ScoreManager {
         this.colorMatches = 0;
         this.blockCollected = 0;
         this.perfect = 0;
-        
-        if (this.comboTimer) {
-            clearTimeout(this.comboTimer);
-            this.comboTimer = null;
-        }
+        this.maxColorChain = 0;
+        this.judgments = { perfect: 0, great: 0, good: 0, miss: 0 };
+        this.lastHitTime = null;
     }
 
     /**
      * Add points for collecting a block
      * @param {number} blockColor - Color index of the collected block
+     * @param {string} judgment - Hit timing ('perfect', 'great' or 'good')
+     * @param {number} time - Song time of the hit in seconds
+     * @param {number} speed - Ship speed at the hit (0.5-1.5), scaling its points
      */
-    addBlock(blockColor) {
-        // Clear existing combo timer
-        if (this.comboTimer) {
-            clearTimeout(this.comboTimer);
-        }
+    addBlock(blockColor, judgment = 'perfect', time = 0, speed = 1) {
+        // The combo runs out after a while without blocks
+        this.updateCombo(time);
+        this.lastHitTime = time;
         
-        // Increment block counter
+        // Increment block counters
         this.blockCollected++;
+        this.judgments[judgment]++;
         
         // Calculate points
         let points = CONFIG.scoring.basePoints;
         
-        // Apply multiplier
+        // Apply combo multiplier
         points *= this.currentMultiplier;
         
         // Handle color matching
@@ -69,6 +75,13 @@ class ScoreManager {
             // Reset color matches
             this.colorMatches = 0;
         }
+        this.maxColorChain = Math.max(this.maxColorChain, this.colorMatches + 1);
+        
+        // Late hits earn part of the points
+        points *= CONFIG.judgment.multipliers[judgment];
+        
+        // Faster ships earn more, slower ones less (their timing is judged more loosely)
+        points *= speed;
         
         // Update last block color
         this.lastBlockColor = blockColor;
@@ -88,21 +101,32 @@ class ScoreManager {
             CONFIG.scoring.maxCombo
         );
         
-        // Add points to score
-        this.score += Math.round(points);
-        
-        // Set combo timer
-        this.comboTimer = setTimeout(() => {
+        // Add points to score, scaled by difficulty
+        this.score += Math.round(points * this.scoreMultiplier);
+    }
+
+    /**
+     * Reset the combo if it ran out by the given song time
+     *
+     * Timed on the song rather than the wall clock, so pausing keeps the combo and
+     * replays score the same.
+     * @param {number} time - Song time in seconds
+     */
+    updateCombo(time) {
+        if (this.lastHitTime !== null && time - this.lastHitTime > CONFIG.scoring.comboTimeout) {
+            this.lastHitTime = null;
             this.resetCombo();
-        }, 2000); // Reset combo after 2 seconds of inactivity
+        }
     }
 
     /**
      * Add penalty for missing a block
      */
     addMiss() {
-        // Apply miss penalty
-        this.score += CONFIG.scoring.miss;
+        this.judgments.miss++;
+        
+        // Apply miss penalty, scaled by difficulty like the points
+        this.score += Math.round(CONFIG.scoring.miss * this.scoreMultiplier);
         
         // Ensure score doesn't go below 0
         if (this.score < 0) {
@@ -146,23 +170,60 @@ class ScoreManager {
         return this.maxCombo;
     }
 
+    /**
+     * Get the share of judged blocks that were hit
+     * @returns {number} - Hit ratio (0-1), 0 before any block was judged
+     */
+    getHitRatio() {
+        const judged = this.blockCollected + this.judgments.miss;
+        return judged > 0 ? this.blockCollected / judged : 0;
+    }
+
+    /**
+     * Get accuracy over all judged blocks, weighted by judgment
+     * @returns {number} - Accuracy (0-1): 1 when every block was hit Perfect, misses count 0
+     */
+    getAccuracy() {
+        const judged = this.blockCollected + this.judgments.miss;
+        if (judged === 0) return 0;
+        
+        const multipliers = CONFIG.judgment.multipliers;
+        const weighted = this.judgments.perfect * multipliers.perfect +
+            this.judgments.great * multipliers.great +
+            this.judgments.good * multipliers.good;
+        return weighted / judged;
+    }
+
+    /**
+     * Get the letter grade for an accuracy
+     * @param {number} accuracy - Accuracy (0-1), defaults to the current run's
+     * @returns {string} - Grade from CONFIG.grades
+     */
+    getGrade(accuracy = this.getAccuracy()) {
+        const entry = CONFIG.grades.find(entry => accuracy >= entry.accuracy);
+        return entry ? entry.grade : CONFIG.grades[CONFIG.grades.length - 1].grade;
+    }
+
+    /**
+     * Get the end-of-track bonuses added by getFinalScore
+     * @returns {Object} - Bonus points ({combo, perfectMatches})
+     */
+    getBonuses() {
+        return {
+            combo: Math.round(this.maxCombo * CONFIG.scoring.maxComboBonus * this.scoreMultiplier),
+            perfectMatches: Math.round(this.perfect * CONFIG.scoring.perfectMatchBonus * this.scoreMultiplier)
+        };
+    }
+
     /**
      * Calculate final score with bonuses
      * @returns {number} - Final score with bonuses
      */
     getFinalScore() {
-        // Base score
-        let finalScore = this.score;
-        
-        // Add max combo bonus
-        const comboBonus = this.maxCombo * 50;
-        finalScore += comboBonus;
-        
-        // Add perfect match bonus
-        const perfectBonus = this.perfect * 200;
-        finalScore += perfectBonus;
+        const bonuses = this.getBonuses();
         
-        return Math.round(finalScore);
+        // Base score plus max combo and perfect match bonuses
+        return this.score + bonuses.combo + bonuses.perfectMatches;
     }
 
     /**
@@ -175,6 +236,13 @@ class ScoreManager {
             maxCombo: this.maxCombo,
             blocksCollected: this.blockCollected,
             perfectMatches: this.perfect,
+            judgments: Object.assign({}, this.judgments),
+            misses: this.judgments.miss,
+            hitRatio: this.getHitRatio(),
+            accuracy: this.getAccuracy(),
+            grade: this.getGrade(),
+            maxColorChain: this.maxColorChain,
+            bonuses: this.getBonuses(),
             finalScore: this.getFinalScore()
         };
     }
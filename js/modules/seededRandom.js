@@ -0,0 +1,61 @@
+/**
+ * SeededRandom - Small deterministic PRNG (mulberry32) for reproducible tracks
+ */
+class SeededRandom {
+    /**
+     * @param {number} seed - 32-bit unsigned seed
+     */
+    constructor(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Next random number
+     * @returns {number} - Float in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Next random integer
+     * @param {number} max - Exclusive upper bound
+     * @returns {number} - Integer in [0, max)
+     */
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Hash a string to a 32-bit seed (FNV-1a)
+     * @param {string} text - Text to hash
+     * @returns {number} - 32-bit unsigned seed
+     */
+    static hashString(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Turn user input into a seed; numbers are used as-is, anything else is hashed
+     * @param {string|number} value - Seed input
+     * @returns {number|null} - 32-bit unsigned seed, or null for empty input
+     */
+    static parseSeed(value) {
+        const text = String(value === null || value === undefined ? '' : value).trim();
+        if (text === '') return null;
+
+        return /^\d+$/.test(text) && Number(text) <= 0xffffffff
+            ? Number(text)
+            : SeededRandom.hashString(text);
+    }
+}
@@ -0,0 +1,79 @@
+/**
+ * Settings - Keeps the player's settings in localStorage as overrides of CONFIG
+ *
+ * Only values the player changed are stored, as {section: {key: value}}, so new
+ * defaults in CONFIG still reach players who never touched them.
+ */
+class Settings {
+    constructor() {
+        this.storageKey = CONFIG.storage.settingsKey;
+        this.overrides = {};
+
+        // CONFIG as shipped, before any override
+        this.defaults = JSON.parse(JSON.stringify(CONFIG));
+    }
+
+    /**
+     * Read the stored overrides and apply them to CONFIG
+     */
+    load() {
+        try {
+            this.overrides = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            console.warn("Stored settings unavailable:", error);
+            this.overrides = {};
+        }
+
+        for (const section in this.overrides) {
+            for (const key in this.overrides[section]) {
+                // Settings that no longer exist are dropped
+                if (CONFIG[section] && key in CONFIG[section]) {
+                    CONFIG[section][key] = this.overrides[section][key];
+                } else {
+                    delete this.overrides[section][key];
+                }
+            }
+        }
+    }
+
+    /**
+     * Get the shipped value of a setting
+     * @param {string} section - CONFIG section, e.g. 'audio'
+     * @param {string} key - Setting within the section
+     * @returns {*} - Default value
+     */
+    getDefault(section, key) {
+        return this.defaults[section][key];
+    }
+
+    /**
+     * Change a setting and store it (a setting back at its default is no longer stored)
+     * @param {string} section - CONFIG section, e.g. 'audio'
+     * @param {string} key - Setting within the section
+     * @param {*} value - New value
+     */
+    set(section, key, value) {
+        CONFIG[section][key] = value;
+
+        if (value === this.getDefault(section, key)) {
+            if (this.overrides[section]) {
+                delete this.overrides[section][key];
+            }
+        } else {
+            this.overrides[section] = this.overrides[section] || {};
+            this.overrides[section][key] = value;
+        }
+        this.save();
+    }
+
+    /**
+     * Write the overrides to localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.overrides));
+        } catch (error) {
+            console.warn("Failed to save settings:", error);
+        }
+    }
+}
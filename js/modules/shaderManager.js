@@ -259,7 +259,7 @@ class ShaderManager {
      * Update shader uniforms based on audio analysis
      */
     update() {
-        if (!this.isEnabled || !this.audioProcessor || !this.audioProcessor.isAnalysisDone) return;
+        if (!this.isEnabled || !this.audioProcessor || !this.audioProcessor.analysisDone) return;
         
         // Get current audio analysis
         const analysis = this.audioProcessor.updateAnalysis();
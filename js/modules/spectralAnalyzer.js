@@ -0,0 +1,176 @@
+/**
+ * SpectralAnalyzer - FFT analysis over raw PCM, matching AnalyserNode output
+ */
+class SpectralAnalyzer {
+    /**
+     * @param {number} sampleRate - Sample rate of the PCM data
+     */
+    constructor(sampleRate) {
+        this.sampleRate = sampleRate;
+        this.fftSize = CONFIG.audio.fftSize;
+        this.binCount = this.fftSize / 2;
+        this.smoothingTimeConstant = CONFIG.audio.smoothingTimeConstant;
+        this.minDecibels = CONFIG.audio.minDecibels;
+        this.maxDecibels = CONFIG.audio.maxDecibels;
+
+        // Work buffers
+        this.real = new Float64Array(this.fftSize);
+        this.imag = new Float64Array(this.fftSize);
+        this.smoothed = new Float64Array(this.binCount);
+
+        // Blackman window, as used by AnalyserNode
+        this.window = new Float64Array(this.fftSize);
+        for (let i = 0; i < this.fftSize; i++) {
+            const x = i / this.fftSize;
+            this.window[i] = 0.42 - 0.5 * Math.cos(2 * Math.PI * x) + 0.08 * Math.cos(4 * Math.PI * x);
+        }
+
+        // Twiddle factors
+        this.cosTable = new Float64Array(this.binCount);
+        this.sinTable = new Float64Array(this.binCount);
+        for (let i = 0; i < this.binCount; i++) {
+            this.cosTable[i] = Math.cos(-2 * Math.PI * i / this.fftSize);
+            this.sinTable[i] = Math.sin(-2 * Math.PI * i / this.fftSize);
+        }
+
+        // Bit reversal table
+        this.reverse = new Uint32Array(this.fftSize);
+        const bits = Math.log2(this.fftSize);
+        for (let i = 0; i < this.fftSize; i++) {
+            let reversed = 0;
+            for (let b = 0; b < bits; b++) {
+                reversed = (reversed << 1) | ((i >> b) & 1);
+            }
+            this.reverse[i] = reversed;
+        }
+    }
+
+    /**
+     * Reset smoothing state
+     */
+    reset() {
+        this.smoothed.fill(0);
+    }
+
+    /**
+     * Analyze the block of samples ending at a given position
+     * @param {Float32Array} samples - Mono PCM samples
+     * @param {number} endIndex - Index just past the last sample of the block
+     * @returns {Object} - Byte frequency and time domain data
+     */
+    analyze(samples, endIndex) {
+        const frequencyData = new Uint8Array(this.binCount);
+        const timeData = new Uint8Array(this.binCount);
+        const start = endIndex - this.fftSize;
+
+        // Window the most recent fftSize samples (zero before the start)
+        for (let i = 0; i < this.fftSize; i++) {
+            const index = start + i;
+            const sample = index >= 0 && index < samples.length ? samples[index] : 0;
+            this.real[this.reverse[i]] = sample * this.window[i];
+            this.imag[this.reverse[i]] = 0;
+        }
+
+        // Time domain data covers the most recent binCount samples
+        for (let i = 0; i < this.binCount; i++) {
+            const index = endIndex - this.binCount + i;
+            const sample = index >= 0 && index < samples.length ? samples[index] : 0;
+            timeData[i] = Math.max(0, Math.min(255, Math.floor(128 * (sample + 1))));
+        }
+
+        this.transform();
+
+        // Smoothed magnitude converted to the analyser's byte dB scale
+        const range = this.maxDecibels - this.minDecibels;
+        for (let k = 0; k < this.binCount; k++) {
+            const magnitude = Math.hypot(this.real[k], this.imag[k]) / this.fftSize;
+            this.smoothed[k] = this.smoothingTimeConstant * this.smoothed[k] +
+                (1 - this.smoothingTimeConstant) * magnitude;
+
+            const decibels = 20 * Math.log10(this.smoothed[k] || 1e-20);
+            frequencyData[k] = Math.max(0, Math.min(255, Math.floor(255 / range * (decibels - this.minDecibels))));
+        }
+
+        return { frequencyData, timeData };
+    }
+
+    /**
+     * In-place iterative radix-2 FFT over the bit-reversed work buffers
+     */
+    transform() {
+        const n = this.fftSize;
+        const real = this.real;
+        const imag = this.imag;
+
+        for (let size = 2; size <= n; size *= 2) {
+            const half = size / 2;
+            const step = n / size;
+
+            for (let start = 0; start < n; start += size) {
+                for (let k = 0; k < half; k++) {
+                    const cos = this.cosTable[k * step];
+                    const sin = this.sinTable[k * step];
+                    const even = start + k;
+                    const odd = even + half;
+
+                    const tReal = real[odd] * cos - imag[odd] * sin;
+                    const tImag = real[odd] * sin + imag[odd] * cos;
+
+                    real[odd] = real[even] - tReal;
+                    imag[odd] = imag[even] - tImag;
+                    real[even] += tReal;
+                    imag[even] += tImag;
+                }
+            }
+        }
+    }
+
+    /**
+     * Calculate energy in each frequency band
+     * @param {Uint8Array} frequencyData - Frequency domain data
+     * @param {number} sampleRate - Sample rate the data was analyzed at
+     * @returns {Array} - Energy in each band
+     */
+    static calculateBandEnergies(frequencyData, sampleRate) {
+        const nyquist = sampleRate / 2;
+        const bands = CONFIG.audio.frequencyBands;
+        const bandEnergies = [];
+
+        for (const band of bands) {
+            const minIndex = Math.floor(band.min / nyquist * frequencyData.length);
+            const maxIndex = Math.min(frequencyData.length - 1, Math.floor(band.max / nyquist * frequencyData.length));
+            let energy = 0;
+
+            for (let i = minIndex; i <= maxIndex; i++) {
+                energy += frequencyData[i] / 255;  // Normalize to 0-1
+            }
+
+            // Average energy in the band
+            energy = energy / (maxIndex - minIndex + 1);
+            bandEnergies.push(energy);
+        }
+
+        return bandEnergies;
+    }
+
+    /**
+     * Determine block color based on frequency bands
+     * @param {Array} bandEnergies - Energy in each frequency band
+     * @returns {number} - Color index
+     */
+    static determineBlockColor(bandEnergies) {
+        // Find the band with maximum energy
+        let maxEnergyIndex = 0;
+        let maxEnergy = 0;
+
+        for (let i = 0; i < bandEnergies.length; i++) {
+            if (bandEnergies[i] > maxEnergy) {
+                maxEnergy = bandEnergies[i];
+                maxEnergyIndex = i;
+            }
+        }
+
+        // Map band index to color index
+        return maxEnergyIndex % CONFIG.visuals.blockColors.length;
+    }
+}
@@ -0,0 +1,244 @@
+/**
+ * TempoEstimator - Estimates tempo and a beat/downbeat grid from an onset envelope
+ */
+class TempoEstimator {
+    constructor() {
+        const settings = CONFIG.audio.tempo;
+
+        this.minBpm = settings.minBpm;
+        this.maxBpm = settings.maxBpm;
+        this.preferredBpm = settings.preferredBpm;
+        this.beatsPerBar = settings.beatsPerBar;
+        this.phaseSteps = 16;  // Phase candidates tested per beat period
+    }
+
+    /**
+     * Estimate tempo and beat grid
+     * @param {Array} envelope - Onset detection function (one value per frame)
+     * @param {number} frameRate - Number of frames per second
+     * @param {Array} accentEnvelope - Optional low-band envelope used to find downbeats
+     * @returns {Object|null} - Beat grid or null if the envelope is too short
+     */
+    estimate(envelope, frameRate, accentEnvelope = null) {
+        const minLag = frameRate * 60 / this.maxBpm;
+        const maxLag = frameRate * 60 / this.minBpm;
+
+        // Need a few beats worth of signal to say anything useful
+        if (envelope.length < maxLag * 4) {
+            return null;
+        }
+
+        // Coarse estimate from the autocorrelation of the envelope
+        const centered = this.removeMean(envelope);
+        const coarseLag = this.findAutocorrelationPeak(centered, minLag, maxLag, frameRate);
+        if (!coarseLag) {
+            return null;
+        }
+
+        // Refine with a comb filter around the coarse tempo and its octaves,
+        // which also resolves the beat phase
+        const coarseBpm = frameRate * 60 / coarseLag;
+        let best = null;
+
+        for (const factor of [0.5, 1, 2]) {
+            const candidateBpm = coarseBpm * factor;
+            if (candidateBpm < this.minBpm || candidateBpm > this.maxBpm) continue;
+
+            const result = this.refineTempo(envelope, frameRate, candidateBpm);
+            const score = result.score * this.tempoPrior(result.bpm);
+            if (!best || score > best.weightedScore) {
+                best = Object.assign(result, { weightedScore: score });
+            }
+        }
+
+        if (!best) {
+            return null;
+        }
+
+        return this.buildGrid(best, envelope.length / frameRate, frameRate, accentEnvelope || envelope);
+    }
+
+    /**
+     * Subtract the mean from an envelope
+     * @param {Array} envelope - Input values
+     * @returns {Array} - Zero-mean values
+     */
+    removeMean(envelope) {
+        const mean = envelope.reduce((sum, value) => sum + value, 0) / envelope.length;
+        return envelope.map(value => value - mean);
+    }
+
+    /**
+     * Find the strongest autocorrelation lag in a range
+     * @param {Array} signal - Zero-mean envelope
+     * @param {number} minLag - Smallest lag in frames
+     * @param {number} maxLag - Largest lag in frames
+     * @param {number} frameRate - Frames per second
+     * @returns {number} - Peak lag in (fractional) frames, 0 if none
+     */
+    findAutocorrelationPeak(signal, minLag, maxLag, frameRate) {
+        const first = Math.max(1, Math.floor(minLag));
+        const last = Math.min(signal.length - 1, Math.ceil(maxLag));
+        const correlation = [];
+
+        for (let lag = first - 1; lag <= last + 1; lag++) {
+            let sum = 0;
+            for (let i = lag; i < signal.length; i++) {
+                sum += signal[i] * signal[i - lag];
+            }
+            correlation.push(sum / (signal.length - lag));
+        }
+
+        // Weight by the tempo prior so we favour plausible tempos
+        let bestIndex = -1;
+        let bestValue = 0;
+        for (let i = 1; i < correlation.length - 1; i++) {
+            const lag = first - 1 + i;
+            const weighted = correlation[i] * this.tempoPrior(frameRate * 60 / lag);
+            if (correlation[i] >= correlation[i - 1] && correlation[i] >= correlation[i + 1] &&
+                weighted > bestValue) {
+                bestValue = weighted;
+                bestIndex = i;
+            }
+        }
+
+        if (bestIndex < 0) return 0;
+
+        // Parabolic interpolation for a sub-frame lag
+        const left = correlation[bestIndex - 1];
+        const center = correlation[bestIndex];
+        const right = correlation[bestIndex + 1];
+        const denominator = left - 2 * center + right;
+        const shift = denominator !== 0 ? 0.5 * (left - right) / denominator : 0;
+
+        return first - 1 + bestIndex + Math.max(-0.5, Math.min(0.5, shift));
+    }
+
+    /**
+     * Refine tempo and phase with a comb filter around a candidate tempo
+     * @param {Array} envelope - Onset envelope
+     * @param {number} frameRate - Frames per second
+     * @param {number} centerBpm - Candidate tempo
+     * @returns {Object} - Best {bpm, phase, score, meanScore}
+     */
+    refineTempo(envelope, frameRate, centerBpm) {
+        let best = { bpm: centerBpm, phase: 0, score: -Infinity, meanScore: 0 };
+
+        // Search +-4% in 0.1 BPM steps
+        const low = Math.max(this.minBpm, centerBpm * 0.96);
+        const high = Math.min(this.maxBpm, centerBpm * 1.04);
+
+        for (let bpm = low; bpm <= high; bpm += 0.1) {
+            const period = frameRate * 60 / bpm;
+            let total = 0;
+
+            for (let step = 0; step < this.phaseSteps; step++) {
+                const phase = period * step / this.phaseSteps;
+                const score = this.combScore(envelope, period, phase);
+                total += score;
+
+                if (score > best.score) {
+                    best = { bpm, phase, score, meanScore: 0 };
+                }
+            }
+
+            if (best.bpm === bpm) {
+                best.meanScore = total / this.phaseSteps;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Average envelope value sampled on a beat comb
+     * @param {Array} envelope - Onset envelope
+     * @param {number} period - Beat period in frames
+     * @param {number} phase - Offset of the first beat in frames
+     * @returns {number} - Mean sampled value
+     */
+    combScore(envelope, period, phase) {
+        let sum = 0;
+        let count = 0;
+
+        for (let position = phase; position < envelope.length - 1; position += period) {
+            sum += this.sample(envelope, position);
+            count++;
+        }
+
+        return count > 0 ? sum / count : 0;
+    }
+
+    /**
+     * Linearly interpolate an envelope at a fractional frame
+     * @param {Array} envelope - Envelope values
+     * @param {number} position - Fractional frame index
+     * @returns {number} - Interpolated value
+     */
+    sample(envelope, position) {
+        const index = Math.floor(position);
+        const fraction = position - index;
+        const next = Math.min(envelope.length - 1, index + 1);
+        return envelope[index] * (1 - fraction) + envelope[next] * fraction;
+    }
+
+    /**
+     * Log-Gaussian weighting towards the preferred tempo
+     * @param {number} bpm - Tempo to weight
+     * @returns {number} - Weight (0-1)
+     */
+    tempoPrior(bpm) {
+        const octaves = Math.log2(bpm / this.preferredBpm);
+        return Math.exp(-0.5 * octaves * octaves / 0.5);
+    }
+
+    /**
+     * Build the beat and downbeat grid
+     * @param {Object} tempo - Refined tempo ({bpm, phase, score, meanScore})
+     * @param {number} duration - Track duration in seconds
+     * @param {number} frameRate - Frames per second
+     * @param {Array} accentEnvelope - Envelope used to locate bar starts
+     * @returns {Object} - Beat grid
+     */
+    buildGrid(tempo, duration, frameRate, accentEnvelope) {
+        const beatInterval = 60 / tempo.bpm;
+        const offset = tempo.phase / frameRate;
+
+        const beats = [];
+        for (let time = offset; time < duration; time += beatInterval) {
+            beats.push(time);
+        }
+
+        // The bar phase with the strongest accents marks the downbeats
+        let downbeatPhase = 0;
+        let bestAccent = -Infinity;
+        for (let phase = 0; phase < this.beatsPerBar; phase++) {
+            let accent = 0;
+            for (let i = phase; i < beats.length; i += this.beatsPerBar) {
+                accent += this.sample(accentEnvelope, Math.min(accentEnvelope.length - 1, beats[i] * frameRate));
+            }
+            if (accent > bestAccent) {
+                bestAccent = accent;
+                downbeatPhase = phase;
+            }
+        }
+
+        const downbeats = beats.filter((time, index) => index % this.beatsPerBar === downbeatPhase);
+
+        // How much the best phase stands out from the average phase
+        const confidence = tempo.score > 0
+            ? Math.max(0, Math.min(1, (tempo.score - tempo.meanScore) / tempo.score))
+            : 0;
+
+        return {
+            bpm: Math.round(tempo.bpm * 10) / 10,
+            beatInterval,
+            offset,
+            beatsPerBar: this.beatsPerBar,
+            downbeatPhase,
+            confidence,
+            beats,
+            downbeats
+        };
+    }
+}
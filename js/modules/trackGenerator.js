@@ -19,26 +19,122 @@ class TrackGenerator {
         this.hilliness = CONFIG.track.hilliness;
         this.currentSegment = 0;
         this.trackPath = [];
+        this.leadInPoints = CONFIG.track.leadInPoints;
+        this.pointsPerSegment = CONFIG.track.pointsPerSegment;
+        this.resolution = 10;
+        this.chart = null;
+        this.judgeIndex = 0;
+        this.seed = 0;
+        this.difficulty = CONFIG.game.difficulty;
     }
 
     /**
      * Generate the complete track from audio analysis
      * @param {Array} analysisResults - Audio analysis data
+     * @param {Object} beatGrid - Beat grid from tempo estimation (optional)
+     * @param {number} seed - Seed for every random choice made while generating
+     * @param {string} difficulty - Key of CONFIG.difficulties
+     * @returns {Object} - Track info
      */
-    generateTrack(analysisResults) {
+    generateTrack(analysisResults, beatGrid = null, seed = 0, difficulty = 'normal') {
+        // Same seed, same analysis: same track
+        seed = seed >>> 0;
+        this.lanes = CONFIG.game.laneCount;
+        this.leadInPoints = CONFIG.track.leadInPoints;
+        this.pointsPerSegment = CONFIG.track.pointsPerSegment;
+        const random = new SeededRandom(seed);
+        
+        // Time between analysis points
+        const interval = analysisResults.length > 1 ? analysisResults[1].time - analysisResults[0].time : 0.1;
+        const resolution = Math.round(1 / interval);
+        const round = value => Math.round(value * 1000) / 1000;
+        
+        // Generate track path points (driven purely by the analysis), spaced so the ship
+        // covers them at the difficulty's pace
+        const preset = CONFIG.difficulties[difficulty];
+        const points = this.generateTrackPath(analysisResults, CONFIG.game.speed * preset.speed);
+        
+        // Decide where blocks go
+        const layout = this.planBlockLayout(analysisResults, beatGrid, random, preset);
+        
+        // The live track is always built from the chart, so an exported chart rebuilds it exactly
+        const chart = {
+            tempo: beatGrid ? {
+                bpm: beatGrid.bpm,
+                beatInterval: beatGrid.beatInterval,
+                offset: beatGrid.offset,
+                beatsPerBar: beatGrid.beatsPerBar,
+                downbeatPhase: beatGrid.downbeatPhase
+            } : null,
+            seed,
+            difficulty,
+            lanes: this.lanes,
+            speed: CONFIG.game.speed,
+            resolution,
+            path: {
+                leadInPoints: this.leadInPoints,
+                pointsPerSegment: this.pointsPerSegment,
+                points: points.map(point => [
+                    round(point.position.x),
+                    round(point.position.y),
+                    round(point.position.z),
+                    round(point.rotation),
+                    round(point.tilt)
+                ])
+            },
+            blocks: layout.map(placement => ({
+                time: round(placement.time),
+                lane: placement.laneIndex,
+                color: placement.colorIndex,
+                type: 'normal',
+                intensity: placement.intensity
+            }))
+        };
+        
+        return this.loadChart(chart);
+    }
+
+    /**
+     * Build the track from a chart without needing the audio analysis
+     * @param {Object} chart - Chart (see ChartFormat)
+     * @returns {Object} - Track info
+     */
+    loadChart(chart) {
         // Clear existing track
         this.clearTrack();
         
-        // Generate track path points
-        this.generateTrackPath(analysisResults);
+        this.chart = chart;
+        this.seed = chart.seed;
+        this.difficulty = chart.difficulty || 'normal';
+        this.lanes = chart.lanes;
+        this.resolution = chart.resolution;
+        
+        // Rebuild path points, laid out the way the chart was generated
+        const { leadInPoints, pointsPerSegment, points } = chart.path;
+        this.leadInPoints = leadInPoints;
+        this.pointsPerSegment = pointsPerSegment;
+        this.trackPath = points.map(([x, y, z, rotation, tilt]) => ({
+            position: new THREE.Vector3(x, y, z),
+            rotation,
+            tilt
+        }));
+        
+        // One segment every few points after the lead-in, ending on the newest point
+        for (let i = 0; i < points.length - leadInPoints; i += pointsPerSegment) {
+            this.trackSegments.push({
+                startPathIndex: leadInPoints + i + 1 - pointsPerSegment,
+                endPathIndex: leadInPoints + i
+            });
+        }
         
         // Create track segments
         this.createTrackMesh();
         
         // Generate objects on the track
-        this.generateTrackObjects(analysisResults);
+        this.generateTrackObjects(chart.blocks);
         
         return {
+            seed: this.seed,
             totalSegments: this.trackSegments.length,
             totalBlocks: this.blocks.length,
             trackLength: this.trackSegments.length * this.segmentLength
@@ -48,19 +144,20 @@ class TrackGenerator {
     /**
      * Generate track path points based on audio analysis
      * @param {Array} analysisResults - Audio analysis data
+     * @param {number} speed - Distance scale between points (1 = a quarter segment per analysis step)
+     * @returns {Array} - Path points ({position, rotation, tilt})
      */
-    generateTrackPath(analysisResults) {
-        this.trackPath = [];
-        this.trackSegments = [];
+    generateTrackPath(analysisResults, speed = 1) {
+        const path = [];
         
         // Parameters for track generation
-        const pointsPerSegment = 4; // Cubic curve resolution
-        const totalPoints = analysisResults.length * pointsPerSegment;
+        const pointsPerSegment = this.pointsPerSegment; // Cubic curve resolution
+        const step = this.segmentLength / pointsPerSegment * speed;
         
         // Generate initial straight section
-        for (let i = 0; i < 10; i++) {
-            this.trackPath.push({
-                position: new THREE.Vector3(0, 0, -i * this.segmentLength / pointsPerSegment),
+        for (let i = 0; i < this.leadInPoints; i++) {
+            path.push({
+                position: new THREE.Vector3(0, 0, -i * step),
                 rotation: 0,
                 tilt: 0
             });
@@ -97,19 +194,9 @@ class TrackGenerator {
                 targetTilt *= 0.95;
             }
             
-            // Generate elevation based on time domain data (waveform)
-            if (analysis.timeData) {
-                // Calculate average amplitude from time domain data
-                let sum = 0;
-                for (let j = 0; j < analysis.timeData.length; j++) {
-                    // Convert from 0-255 to -128-127 range
-                    const amplitude = analysis.timeData[j] - 128;
-                    sum += Math.abs(amplitude);
-                }
-                const avgAmplitude = sum / analysis.timeData.length;
-                
-                // Map to elevation change
-                targetElevation = (avgAmplitude / 128) * this.hilliness * 10 - 5;
+            // Generate elevation based on average waveform amplitude
+            if (analysis.amplitude !== undefined) {
+                targetElevation = analysis.amplitude * this.hilliness * 10 - 5;
             }
             
             // Smooth changes
@@ -118,32 +205,23 @@ class TrackGenerator {
             currentElevation = currentElevation * 0.95 + targetElevation * 0.05;
             
             // Create path point
-            const lastPoint = this.trackPath[this.trackPath.length - 1];
+            const lastPoint = path[path.length - 1];
             const newDirection = lastPoint.rotation + currentDirection;
             
             // Calculate new position
-            const newX = lastPoint.position.x + Math.sin(newDirection) * this.segmentLength / pointsPerSegment;
-            const newZ = lastPoint.position.z - Math.cos(newDirection) * this.segmentLength / pointsPerSegment;
+            const newX = lastPoint.position.x + Math.sin(newDirection) * step;
+            const newZ = lastPoint.position.z - Math.cos(newDirection) * step;
             const newY = lastPoint.position.y + currentElevation;
             
             // Add point to path
-            this.trackPath.push({
+            path.push({
                 position: new THREE.Vector3(newX, newY, newZ),
                 rotation: newDirection,
                 tilt: currentTilt
             });
-            
-            // Create a new segment every few points
-            if (i % pointsPerSegment === 0) {
-                this.trackSegments.push({
-                    startPathIndex: this.trackPath.length - pointsPerSegment,
-                    endPathIndex: this.trackPath.length - 1,
-                    audioIndex: i,
-                    beatIntensity: analysis.beatIntensity,
-                    bandEnergies: analysis.bandEnergies
-                });
-            }
         }
+        
+        return path;
     }
 
     /**
@@ -374,58 +452,104 @@ class TrackGenerator {
     }
 
     /**
-     * Generate objects on the track based on audio analysis
+     * Decide where blocks go based on audio analysis
      * @param {Array} analysisResults - Audio analysis data
+     * @param {Object} beatGrid - Beat grid used to quantize blocks (optional)
+     * @param {SeededRandom} random - Random source for lane choice
+     * @param {Object} difficulty - Difficulty preset (density, spacing, lane switching)
+     * @returns {Array} - Block layout ({index, time, laneIndex, colorIndex, intensity}); index is the
+     *                    analysis point nearest the block, used only for spacing
      */
-    generateTrackObjects(analysisResults) {
-        this.blocks = [];
+    planBlockLayout(analysisResults, beatGrid, random, difficulty) {
+        const layout = [];
+        
+        // Time between analysis points
+        const interval = analysisResults.length > 1 ? analysisResults[1].time - analysisResults[0].time : 0.1;
+        const minSpacing = Math.max(1, Math.round(difficulty.minBlockSpacing / interval));
+        let lastIndex = -Infinity;
+        let lastLane = -1;
         
         // Loop through analysis results to place blocks
         for (let i = 0; i < analysisResults.length; i++) {
             const analysis = analysisResults[i];
             
-            // Only create a block if the beat is significant
-            if (analysis.isBlock) {
-                // Determine which segment this block belongs to
-                const segmentIndex = Math.floor(i / 4); // Assuming 4 analysis points per segment
-                if (segmentIndex >= this.trackSegments.length) continue;
-                
-                const segment = this.trackSegments[segmentIndex];
-                const pathPoint = this.trackPath[segment.startPathIndex];
-                
-                // Determine which lane to place the block in based on audio
+            // Only create a block if the onset is strong enough for this difficulty
+            const strength = this.getBlockStrength(analysis);
+            if (strength <= 0 || strength < difficulty.densityThreshold) continue;
+            
+            // Snap the onset to the beat grid so blocks follow the meter
+            const time = beatGrid ? Math.max(0, this.quantizeTime(analysis.time, beatGrid)) : analysis.time;
+            const index = beatGrid ? Math.round(time / interval) : i;
+            if (index < 0 || index >= analysisResults.length || index - lastIndex < minSpacing) continue;
+            lastIndex = index;
+            
+            // Stay in the previous lane unless this block switches
+            if (lastLane < 0 || random.next() < difficulty.laneSwitchChance) {
                 // Use frequency distribution to determine lane
-                const laneIndex = this.determineLane(analysis.bandEnergies);
-                
-                // Calculate lane position
-                const laneWidth = this.trackWidth / this.lanes;
-                const laneOffset = -this.trackWidth/2 + (laneIndex + 0.5) * laneWidth;
-                
-                // Calculate direction
-                const forward = new THREE.Vector3();
-                if (segment.startPathIndex + 1 < this.trackPath.length) {
-                    const nextPoint = this.trackPath[segment.startPathIndex + 1];
-                    forward.subVectors(nextPoint.position, pathPoint.position).normalize();
-                } else {
-                    forward.set(0, 0, -1); // Default forward
-                }
-                
-                // Calculate right vector
-                const right = new THREE.Vector3(0, 1, 0).cross(forward).normalize();
-                
-                // Calculate block position
-                const blockPosition = new THREE.Vector3().copy(pathPoint.position)
-                    .add(right.clone().multiplyScalar(laneOffset))
-                    .add(new THREE.Vector3(0, 1.5, 0)); // Float above the track
-                
-                // Determine block color from analysis
-                const colorIndex = analysis.blockColor;
-                const blockColor = CONFIG.visuals.blockColors[colorIndex];
-                
-                // Create the block
-                this.createBlock(blockPosition, laneIndex, blockColor, segmentIndex, analysis.beatIntensity);
+                lastLane = this.determineLane(analysis.bandEnergies, random);
             }
+            
+            layout.push({
+                index,
+                time,
+                laneIndex: lastLane,
+                colorIndex: analysis.blockColor,
+                intensity: Math.round(strength * 1000) / 1000
+            });
         }
+        
+        return layout;
+    }
+
+    /**
+     * Rank an analysis point as a block candidate
+     * @param {Object} analysis - Analysis point
+     * @returns {number} - 0.5-1 for onsets in the full mix, below 0.5 for onsets heard in a single band only
+     */
+    getBlockStrength(analysis) {
+        if (analysis.isBlock) {
+            return 0.5 + analysis.onsetStrength / 2;
+        }
+        return Math.max(0, ...analysis.onsetStrengths) * 0.45;
+    }
+
+    /**
+     * Create block objects on the track from chart blocks
+     * @param {Array} chartBlocks - Blocks ({time, lane, color, type, intensity})
+     */
+    generateTrackObjects(chartBlocks) {
+        this.blocks = [];
+        
+        // Judging walks the blocks in time order
+        const ordered = chartBlocks.slice().sort((a, b) => a.time - b.time);
+        
+        for (const chartBlock of ordered) {
+            // Skip blocks past the end of the path
+            if (this.getPathIndexAtTime(chartBlock.time) > this.trackPath.length - 1) continue;
+            
+            // Place the block where the ship will be when its beat plays
+            const laneIndex = chartBlock.lane;
+            const blockPosition = this.getPositionAtTime(chartBlock.time, laneIndex, 1.5); // Float above the track
+            const segmentIndex = this.getSegmentAtTime(chartBlock.time);
+            
+            // Determine block color from the palette
+            const blockColor = CONFIG.visuals.blockColors[chartBlock.color];
+            
+            // Create the block, facing along the track
+            const blockMesh = this.createBlock(blockPosition, laneIndex, blockColor, segmentIndex, chartBlock.intensity, chartBlock.time);
+            blockMesh.lookAt(blockPosition.clone().add(this.getDirectionAtTime(chartBlock.time)));
+        }
+    }
+
+    /**
+     * Snap a time to the nearest beat subdivision of the grid
+     * @param {number} time - Time in seconds
+     * @param {Object} beatGrid - Beat grid from tempo estimation
+     * @returns {number} - Quantized time in seconds
+     */
+    quantizeTime(time, beatGrid) {
+        const step = beatGrid.beatInterval / CONFIG.track.beatSubdivision;
+        return beatGrid.offset + Math.round((time - beatGrid.offset) / step) * step;
     }
 
     /**
@@ -435,11 +559,12 @@ class TrackGenerator {
      * @param {number} color - Block color as hex value
      * @param {number} segmentIndex - Track segment index
      * @param {number} intensity - Beat intensity (affects block size)
+     * @param {number} time - Chart time of the block in seconds
+     * @returns {THREE.Mesh} - Block mesh
      */
-    createBlock(position, laneIndex, color, segmentIndex, intensity) {
+    createBlock(position, laneIndex, color, segmentIndex, intensity, time = 0) {
         // Calculate block size based on lane width
-        const laneWidth = this.trackWidth / this.lanes;
-        const blockWidth = laneWidth * 0.8;
+        const blockWidth = this.getBlockWidth();
         const blockHeight = 1.5 * intensity; // Height based on beat intensity
         const blockDepth = this.segmentLength * 0.3;
         
@@ -471,7 +596,9 @@ class TrackGenerator {
             mesh: blockMesh,
             laneIndex: laneIndex,
             segmentIndex: segmentIndex,
+            time: time,
             color: color,
+            judgment: null,
             collected: false,
             visible: true
         });
@@ -485,15 +612,16 @@ class TrackGenerator {
     /**
      * Determine which lane to place a block based on frequency analysis
      * @param {Array} bandEnergies - Energy in each frequency band
+     * @param {SeededRandom} random - Random source
      * @returns {number} - Lane index (0 to lanes-1)
      */
-    determineLane(bandEnergies) {
+    determineLane(bandEnergies, random) {
         // Simple approach: use relative energy of bands to pick a lane
         const totalEnergy = bandEnergies.reduce((sum, energy) => sum + energy, 0);
         let cumulativeEnergy = 0;
         
         // Choose random lane weighted by frequency distribution
-        const randomValue = Math.random() * totalEnergy;
+        const randomValue = random.next() * totalEnergy;
         
         for (let i = 0; i < bandEnergies.length; i++) {
             cumulativeEnergy += bandEnergies[i];
@@ -504,7 +632,7 @@ class TrackGenerator {
         }
         
         // Fallback to random lane
-        return Math.floor(Math.random() * this.lanes);
+        return random.nextInt(this.lanes);
     }
 
     /**
@@ -519,8 +647,9 @@ class TrackGenerator {
         for (let i = 0; i < this.blocks.length; i++) {
             const block = this.blocks[i];
             
-            // Make blocks visible if they're within the visible range
-            if (block.segmentIndex >= playerSegment - 5 && block.segmentIndex <= farSegment) {
+            // Make blocks visible if they're within the visible range and not judged yet
+            const inRange = block.segmentIndex >= playerSegment - 5 && block.segmentIndex <= farSegment;
+            if (inRange && !block.judgment) {
                 if (block.mesh && !block.visible) {
                     block.mesh.visible = true;
                     block.visible = true;
@@ -535,103 +664,188 @@ class TrackGenerator {
     }
 
     /**
-     * Get position on track for a given segment and lane
-     * @param {number} segmentIndex - Segment index
-     * @param {number} laneIndex - Lane index (0 to lanes-1)
-     * @param {number} offset - Offset within segment (0-1)
-     * @returns {THREE.Vector3} - Position on track
+     * Get the (fractional) path point index the ship is at for a song time
+     * @param {number} time - Time in seconds
+     * @returns {number} - Path index
      */
-    getPositionOnTrack(segmentIndex, laneIndex, offset = 0) {
-        if (segmentIndex < 0 || segmentIndex >= this.trackSegments.length) {
-            return new THREE.Vector3(0, 0, 0);
+    getPathIndexAtTime(time) {
+        return this.leadInPoints + time * this.resolution;
+    }
+
+    /**
+     * Get the track centre and heading for a song time, between path points
+     * @param {number} time - Time in seconds
+     * @returns {Object} - {position, forward} (forward is normalized)
+     */
+    getPathPointAtTime(time) {
+        if (this.trackPath.length < 2) {
+            return { position: new THREE.Vector3(0, 0, 0), forward: new THREE.Vector3(0, 0, -1) };
         }
         
-        const segment = this.trackSegments[segmentIndex];
-        const pointIndex = segment.startPathIndex + Math.floor(offset * (segment.endPathIndex - segment.startPathIndex));
-        const point = this.trackPath[pointIndex];
+        const pathIndex = THREE.MathUtils.clamp(this.getPathIndexAtTime(time), 0, this.trackPath.length - 1);
+        const index = Math.min(Math.floor(pathIndex), this.trackPath.length - 2);
+        const point = this.trackPath[index].position;
+        const nextPoint = this.trackPath[index + 1].position;
+        
+        return {
+            position: new THREE.Vector3().lerpVectors(point, nextPoint, pathIndex - index),
+            forward: new THREE.Vector3().subVectors(nextPoint, point).normalize()
+        };
+    }
+
+    /**
+     * Get position on track for a song time and lane
+     * @param {number} time - Time in seconds
+     * @param {number} laneIndex - Lane index (0 to lanes-1)
+     * @param {number} height - Lift above the track
+     * @returns {THREE.Vector3} - Position on track
+     */
+    getPositionAtTime(time, laneIndex, height = 0.5) {
+        const { position, forward } = this.getPathPointAtTime(time);
         
         // Calculate lane position
         const laneWidth = this.trackWidth / this.lanes;
         const laneOffset = -this.trackWidth/2 + (laneIndex + 0.5) * laneWidth;
         
-        // Calculate direction vectors
-        let forward = new THREE.Vector3();
-        if (pointIndex + 1 < this.trackPath.length) {
-            const nextPoint = this.trackPath[pointIndex + 1];
-            forward.subVectors(nextPoint.position, point.position).normalize();
-        } else {
-            forward.set(0, 0, -1); // Default forward
-        }
-        
         // Calculate right vector
         const right = new THREE.Vector3(0, 1, 0).cross(forward).normalize();
         
-        // Calculate position on track
-        const position = new THREE.Vector3().copy(point.position)
-            .add(right.clone().multiplyScalar(laneOffset))
-            .add(new THREE.Vector3(0, 0.5, 0)); // Slight lift above track
-            
-        return position;
+        return position
+            .add(right.multiplyScalar(laneOffset))
+            .add(new THREE.Vector3(0, height, 0));
+    }
+
+    /**
+     * Get the width of a block
+     * @returns {number} - Block width in world units
+     */
+    getBlockWidth() {
+        return this.trackWidth / this.lanes * 0.8;
+    }
+
+    /**
+     * Get the lane whose blocks a position across the track touches, for free steering
+     * @param {number} lanePosition - Position across the track in lanes (lane centers at whole numbers)
+     * @returns {number} - Lane index, or -1 in the gap between two lanes' blocks
+     */
+    getLaneAtPosition(lanePosition) {
+        const lane = Math.round(lanePosition);
+        const reach = this.getBlockWidth() / 2 / (this.trackWidth / this.lanes);
+        return Math.abs(lanePosition - lane) <= reach ? lane : -1;
     }
 
     /**
-     * Get the direction (forward vector) at a given segment
-     * @param {number} segmentIndex - Segment index
-     * @param {number} offset - Offset within segment (0-1)
+     * Get the direction (forward vector) of the track at a song time
+     * @param {number} time - Time in seconds
      * @returns {THREE.Vector3} - Direction vector
      */
-    getDirectionAtSegment(segmentIndex, offset = 0) {
-        if (segmentIndex < 0 || segmentIndex >= this.trackSegments.length) {
-            return new THREE.Vector3(0, 0, -1); // Default forward
-        }
-        
-        const segment = this.trackSegments[segmentIndex];
-        const pointIndex = segment.startPathIndex + Math.floor(offset * (segment.endPathIndex - segment.startPathIndex));
-        
-        if (pointIndex + 1 >= this.trackPath.length) {
-            return new THREE.Vector3(0, 0, -1); // Default forward
-        }
-        
-        const point = this.trackPath[pointIndex];
-        const nextPoint = this.trackPath[pointIndex + 1];
-        
-        // Calculate and return direction
-        return new THREE.Vector3().subVectors(nextPoint.position, point.position).normalize();
+    getDirectionAtTime(time) {
+        return this.getPathPointAtTime(time).forward;
     }
 
     /**
-     * Check for block collisions
-     * @param {number} playerSegment - Current player segment
+     * Judge blocks against the playback clock
+     *
+     * A block is hit when the ship is in its lane at its time, or moves into the lane
+     * shortly after; the delay picks the judgment. Blocks that fall behind the ship for
+     * longer than the Good window are missed. The windows narrow as the ship speeds up
+     * and widen as it slows down. Judgments depend only on when the ship
+     * entered its lane, never on when this is called, so replays judge identically;
+     * call it before every lane change with the lane being left.
+     * @param {number} time - Current playback time in seconds
      * @param {number} playerLane - Current player lane
-     * @returns {Object|null} - Collided block data or null
+     * @param {number} laneSince - Playback time the ship entered that lane
+     * @param {number} speed - Ship speed (0.5-1.5); the windows are divided by it
+     * @param {boolean} final - The song ended at this time, so Good windows still open close now
+     * @returns {Array} - Judged blocks ({index, color, judgment, offset, time}) in the order they happened
      */
-    checkBlockCollision(playerSegment, playerLane) {
-        for (let i = 0; i < this.blocks.length; i++) {
+    judgeBlocks(time, playerLane, laneSince, speed = 1, final = false) {
+        const windows = this.getJudgmentWindows(speed);
+        const judged = [];
+        
+        // Everything before the cursor has been judged already
+        while (this.judgeIndex < this.blocks.length && this.blocks[this.judgeIndex].judgment) {
+            this.judgeIndex++;
+        }
+        
+        for (let i = this.judgeIndex; i < this.blocks.length; i++) {
             const block = this.blocks[i];
+            if (block.time > time) break;
+            if (block.judgment) continue;
             
-            // Skip already collected blocks
-            if (block.collected) continue;
+            const windowEnd = block.time + windows.good;
+            let judgment = null;
+            let offset = 0;
+            if (block.laneIndex === playerLane && laneSince <= windowEnd) {
+                offset = Math.max(0, laneSince - block.time);
+                judgment = offset <= windows.perfect ? 'perfect'
+                    : offset <= windows.great ? 'great'
+                    : 'good';
+            } else if (time > windowEnd || final) {
+                judgment = 'miss';
+                offset = windows.good;
+            }
+            if (!judgment) continue;
             
-            // Check if block is in range of player
-            if (Math.abs(block.segmentIndex - playerSegment) <= 1 && block.laneIndex === playerLane) {
-                // Mark as collected
-                block.collected = true;
-                
-                // Hide the block
-                if (block.mesh) {
-                    block.mesh.visible = false;
-                }
-                
-                // Return block data
-                return {
-                    index: i,
-                    color: block.color,
-                    segmentIndex: block.segmentIndex
-                };
+            block.judgment = judgment;
+            block.collected = judgment !== 'miss';
+            
+            // Hide the block (missed blocks shatter in its place)
+            if (block.mesh) {
+                block.mesh.visible = false;
             }
+            
+            judged.push({
+                index: i,
+                color: block.color,
+                judgment,
+                offset,
+                time: block.time + offset
+            });
         }
         
-        return null;
+        return judged.sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * Get the judgment windows at a ship speed
+     * @param {number} speed - Ship speed (0.5-1.5)
+     * @returns {Object} - Latest each judgment still counts, in seconds after the block's time
+     */
+    getJudgmentWindows(speed = 1) {
+        const windows = CONFIG.judgment.windows;
+        return {
+            perfect: windows.perfect / speed,
+            great: windows.great / speed,
+            good: windows.good / speed
+        };
+    }
+
+    /**
+     * Get the segment the given song time falls in
+     * @param {number} time - Time in seconds
+     * @returns {number} - Segment index
+     */
+    getSegmentAtTime(time) {
+        const firstPathIndex = this.leadInPoints + 1 - this.pointsPerSegment;
+        const segment = Math.floor((this.getPathIndexAtTime(time) - firstPathIndex) / this.pointsPerSegment);
+        return Math.max(0, Math.min(this.trackSegments.length - 1, segment));
+    }
+
+    /**
+     * Make every block collectable again
+     * @param {number} startTime - Song position the run starts from; earlier blocks are skipped
+     */
+    resetBlocks(startTime = 0) {
+        for (const block of this.blocks) {
+            block.collected = false;
+            block.judgment = block.time < startTime ? 'skipped' : null;
+            if (block.mesh) {
+                block.mesh.visible = !block.judgment;
+            }
+            block.visible = !block.judgment;
+        }
+        this.judgeIndex = 0;
     }
 
     /**
@@ -673,6 +887,7 @@ class TrackGenerator {
         // Reset arrays
         this.trackObjects = [];
         this.blocks = [];
+        this.judgeIndex = 0;
         this.trackSegments = [];
         this.trackPath = [];
     }
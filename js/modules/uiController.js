@@ -8,6 +8,8 @@ class UIController {
             menu: document.getElementById('menu-screen'),
             game: document.getElementById('game-screen'),
             results: document.getElementById('results-screen'),
+            editor: document.getElementById('editor-screen'),
+            calibration: document.getElementById('calibration-screen'),
             loading: document.getElementById('loading-overlay')
         };
         this.gameUI = {
@@ -15,17 +17,40 @@ class UIController {
             multiplierDisplay: document.getElementById('multiplier'),
             progressBar: document.getElementById('progress-bar'),
             pauseMenu: document.getElementById('pause-menu'),
-            pauseButton: document.getElementById('pause-button')
+            pauseButton: document.getElementById('pause-button'),
+            autopilotBadge: document.getElementById('autopilot-badge'),
+            judgment: document.getElementById('judgment'),
+            ghostDelta: document.getElementById('ghost-delta'),
+            debugOverlay: document.getElementById('debug-overlay')
         };
         this.menuUI = {
             audioInput: document.getElementById('audio-input'),
             startButton: document.getElementById('start-button'),
             optionsButton: document.getElementById('options-button'),
+            editChartButton: document.getElementById('edit-chart-button'),
+            exportChartButton: document.getElementById('export-chart-button'),
+            chartInput: document.getElementById('chart-input'),
+            replayInput: document.getElementById('replay-input'),
             currentTrack: document.getElementById('current-track'),
-            trackDuration: document.getElementById('track-duration')
+            trackDuration: document.getElementById('track-duration'),
+            cacheStatus: document.getElementById('track-cache-status'),
+            personalBest: document.getElementById('track-best'),
+            ghost: document.getElementById('track-ghost')
         };
         this.resultsUI = {
             finalScore: document.getElementById('final-score'),
+            finalGrade: document.getElementById('final-grade'),
+            finalAccuracy: document.getElementById('final-accuracy'),
+            breakdown: document.getElementById('results-breakdown'),
+            record: document.getElementById('results-record'),
+            highScoreEntry: document.getElementById('highscore-entry'),
+            highScoreName: document.getElementById('highscore-name'),
+            highScoreSaveButton: document.getElementById('highscore-save-button'),
+            highScoreTable: document.getElementById('highscore-table'),
+            watchReplayButton: document.getElementById('watch-replay-button'),
+            exportReplayButton: document.getElementById('export-replay-button'),
+            finalDifficulty: document.getElementById('final-difficulty'),
+            finalSeed: document.getElementById('final-seed'),
             playAgainButton: document.getElementById('play-again-button'),
             menuButton: document.getElementById('menu-button')
         };
@@ -34,8 +59,49 @@ class UIController {
             restartButton: document.getElementById('restart-button'),
             exitButton: document.getElementById('exit-button')
         };
+        this.editorUI = {
+            testButton: document.getElementById('editor-test-button'),
+            verifyButton: document.getElementById('editor-verify-button'),
+            applyButton: document.getElementById('editor-apply-button'),
+            exportButton: document.getElementById('editor-export-button'),
+            closeButton: document.getElementById('editor-close-button')
+        };
+        this.calibrationUI = {
+            pad: document.getElementById('calibration-pad'),
+            status: document.getElementById('calibration-status'),
+            startButton: document.getElementById('calibration-start-button'),
+            applyButton: document.getElementById('calibration-apply-button'),
+            resetButton: document.getElementById('calibration-reset-button'),
+            backButton: document.getElementById('calibration-back-button')
+        };
+        this.latencyCalibrator = new LatencyCalibrator(gameEngine.audioProcessor);
+        this.calibrationResult = null;
+        this.chartFormat = new ChartFormat();
+        this.levelEditor = new LevelEditor(gameEngine);
+        
+        // Test-plays from the editor start mid-song and return to the editor
+        this.playStartTime = 0;
+        this.returnToEditor = false;
+        
+        // Finished run waiting for a name before it goes into the high score table
+        this.pendingResult = null;
+        this.playerName = '';
+        this.highScoreRecords = [];
+        
+        // Replay being watched, and the replay offered on the results screen
+        this.currentReplay = null;
+        this.resultsReplay = null;
+        
+        // Score the ghost races; the personal best unless one was picked from the table
+        this.ghostRecord = null;
+        this.ghostPinned = false;
+        
+        // Attract mode: the autopilot plays a demo after a while idle on the menu
+        this.isDemo = false;
+        this.attractTimer = null;
         this.loadingUI = {
-            loadingText: document.getElementById('loading-text')
+            loadingText: document.getElementById('loading-text'),
+            cancelButton: document.getElementById('cancel-loading-button')
         };
         
         // Initialize event handlers
@@ -46,6 +112,11 @@ class UIController {
      * Initialize all UI event handlers
      */
     initEventHandlers() {
+        // The focus highlight is for gamepad navigation; pointers don't need it
+        window.addEventListener('pointerdown', () => {
+            document.body.classList.remove('gamepad-navigation');
+        });
+        
         // Title animation
         document.getElementById('game-title').addEventListener('click', () => {
             const titleExpansion = document.getElementById('title-expansion');
@@ -67,6 +138,29 @@ class UIController {
             this.showOptionsMenu();
         });
         
+        this.menuUI.editChartButton.addEventListener('click', () => {
+            this.showEditor();
+        });
+        
+        this.menuUI.exportChartButton.addEventListener('click', () => {
+            this.exportChart();
+        });
+        
+        this.menuUI.chartInput.addEventListener('change', (e) => {
+            if (e.target.files && e.target.files[0]) {
+                this.importChart(e.target.files[0]);
+            }
+            // Allow importing the same file again after editing it
+            e.target.value = '';
+        });
+        
+        this.menuUI.replayInput.addEventListener('change', (e) => {
+            if (e.target.files && e.target.files[0]) {
+                this.importReplay(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+        
         // Game screen handlers
         this.gameUI.pauseButton.addEventListener('click', () => {
             this.pauseGame();
@@ -87,6 +181,7 @@ class UIController {
         
         // Add event listeners for new pause menu buttons
         document.getElementById('change-track-button').addEventListener('click', () => {
+            this.returnToEditor = false;
             this.exitToMenu();
             // Trigger file input click to select a new track
             setTimeout(() => this.menuUI.audioInput.click(), 300);
@@ -110,6 +205,80 @@ class UIController {
             }
         });
         
+        // Loading screen handlers
+        this.loadingUI.cancelButton.addEventListener('click', () => {
+            this.cancelLoading();
+        });
+        
+        // Editor screen handlers
+        this.editorUI.testButton.addEventListener('click', () => {
+            this.testPlayFromEditor();
+        });
+        
+        this.editorUI.verifyButton.addEventListener('click', () => {
+            this.verifyEditorChart();
+        });
+        
+        this.editorUI.applyButton.addEventListener('click', () => {
+            this.applyEditorChart();
+        });
+        
+        this.editorUI.exportButton.addEventListener('click', () => {
+            this.applyEditorChart();
+            this.exportChart();
+        });
+        
+        this.editorUI.closeButton.addEventListener('click', () => {
+            this.closeEditor();
+        });
+        
+        // Calibration screen handlers
+        this.calibrationUI.startButton.addEventListener('click', () => {
+            this.startCalibration();
+        });
+        
+        this.calibrationUI.pad.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            this.latencyCalibrator.tap();
+        });
+        
+        window.addEventListener('keydown', (e) => {
+            if (e.code === 'Space' && this.screens.calibration.classList.contains('active')) {
+                e.preventDefault();
+                if (!e.repeat) {
+                    this.latencyCalibrator.tap();
+                }
+            }
+        });
+        
+        this.calibrationUI.applyButton.addEventListener('click', () => {
+            if (this.calibrationResult) {
+                this.setLatencyOffset(this.calibrationResult.offset);
+            }
+        });
+        
+        this.calibrationUI.resetButton.addEventListener('click', () => {
+            this.setLatencyOffset(0);
+        });
+        
+        this.calibrationUI.backButton.addEventListener('click', () => {
+            this.latencyCalibrator.stop();
+            this.showOptionsMenu();
+        });
+        
+        // Any input ends the demo; input on the menu restarts the idle countdown
+        const handleActivity = (e) => {
+            if (this.isDemo) {
+                e.stopImmediatePropagation();
+                this.stopAttractMode();
+            } else if (this.screens.menu.classList.contains('active')) {
+                this.scheduleAttractMode();
+            }
+        };
+        ['keydown', 'pointerdown', 'touchstart'].forEach(type => {
+            window.addEventListener(type, handleActivity, true);
+        });
+        
         // Results screen handlers
         this.resultsUI.playAgainButton.addEventListener('click', () => {
             this.restartGame();
@@ -118,6 +287,37 @@ class UIController {
         this.resultsUI.menuButton.addEventListener('click', () => {
             this.exitToMenu();
         });
+        
+        this.resultsUI.highScoreSaveButton.addEventListener('click', () => {
+            this.saveHighScore();
+        });
+        
+        this.resultsUI.highScoreName.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.saveHighScore();
+            }
+        });
+        
+        this.resultsUI.watchReplayButton.addEventListener('click', () => {
+            this.watchReplay(this.resultsReplay);
+        });
+        
+        this.resultsUI.exportReplayButton.addEventListener('click', () => {
+            this.exportReplay(this.resultsReplay);
+        });
+        
+        this.resultsUI.highScoreTable.addEventListener('click', (e) => {
+            const watchButton = e.target.closest('[data-replay]');
+            if (watchButton) {
+                this.watchReplay(this.highScoreRecords[watchButton.dataset.replay].replay);
+            }
+            
+            const ghostButton = e.target.closest('[data-ghost]');
+            if (ghostButton) {
+                this.selectGhost(this.highScoreRecords[ghostButton.dataset.ghost], true);
+                this.renderHighScores(this.highScoreRecords);
+            }
+        });
     }
 
     /**
@@ -125,6 +325,13 @@ class UIController {
      * @param {File} file - The selected audio file
      */
     handleAudioFileSelected(file) {
+        // The previous level is replaced, so it can't be started until this one is ready
+        this.menuUI.startButton.disabled = true;
+        this.menuUI.editChartButton.disabled = true;
+        this.menuUI.exportChartButton.disabled = true;
+        this.menuUI.cacheStatus.textContent = '';
+        this.menuUI.personalBest.textContent = '';
+        
         // Show loading screen
         this.showLoadingScreen('Analyzing track...');
         
@@ -133,25 +340,116 @@ class UIController {
             .then(trackInfo => {
                 // Update UI with track info
                 this.menuUI.currentTrack.textContent = file.name;
-                this.menuUI.trackDuration.textContent = this.formatTime(trackInfo.duration);
+                this.menuUI.trackDuration.textContent = trackInfo.bpm
+                    ? `${this.formatTime(trackInfo.duration)} · ${trackInfo.bpm} BPM`
+                    : this.formatTime(trackInfo.duration);
+                this.menuUI.cacheStatus.textContent = trackInfo.cached ? 'Cached' : '';
+                this.updatePersonalBest();
                 
-                // Enable start button
+                // Enable start and chart editing
                 this.menuUI.startButton.disabled = false;
+                this.menuUI.editChartButton.disabled = false;
+                this.menuUI.exportChartButton.disabled = false;
+                this.scheduleAttractMode();
                 
                 // Hide loading screen
                 this.hideLoadingScreen();
             })
             .catch(error => {
+                // Cancelled or superseded by another file
+                if (error.name === 'AbortError') return;
+                
                 console.error('Error loading track:', error);
                 alert('Failed to load audio file. Please try another file.');
                 this.hideLoadingScreen();
             });
     }
 
+    /**
+     * Cancel the track analysis and return to the menu
+     */
+    cancelLoading() {
+        this.gameEngine.cancelLoading();
+        this.hideLoadingScreen();
+        
+        // Allow picking the same file again
+        this.menuUI.audioInput.value = '';
+        this.menuUI.currentTrack.textContent = 'No track loaded';
+        this.menuUI.trackDuration.textContent = '';
+        this.showScreen('menu');
+    }
+
+    /**
+     * Download the chart of the loaded track
+     */
+    exportChart() {
+        const chart = this.gameEngine.getChart();
+        if (!chart) return;
+        
+        const baseName = chart.audio.fileName.replace(/\.[^.]+$/, '');
+        this.downloadFile(`${baseName}.kuss-chart.json`, this.chartFormat.stringify(chart), 'application/json');
+    }
+
+    /**
+     * Replace the loaded track with a chart file
+     * @param {File} file - The selected chart file
+     */
+    importChart(file) {
+        if (!this.gameEngine.audioProcessor.analysisDone) {
+            alert('Load the music for this chart first.');
+            return;
+        }
+        
+        file.text()
+            .then(text => {
+                const chart = this.chartFormat.parse(text);
+                
+                // Charts are tied to the audio they were made for
+                const hash = this.gameEngine.audioProcessor.audioData.hash;
+                if (chart.audio && chart.audio.hash !== hash &&
+                    !confirm(`This chart was made for "${chart.audio.fileName}". Use it with the loaded track anyway?`)) {
+                    return;
+                }
+                
+                const trackInfo = this.gameEngine.loadChart(chart);
+                if (trackInfo) {
+                    this.menuUI.cacheStatus.textContent = `Chart: ${file.name}`;
+                    this.updatePersonalBest();
+                }
+            })
+            .catch(error => {
+                console.error('Error importing chart:', error);
+                alert(`Failed to import chart: ${error.message}`);
+            });
+    }
+
+    /**
+     * Offer text content as a file download
+     * @param {string} fileName - File name
+     * @param {string} content - File content
+     * @param {string} type - MIME type
+     */
+    downloadFile(fileName, content, type = 'text/plain') {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
     /**
      * Start a new game
      */
     startGame() {
+        this.playStartTime = 0;
+        this.returnToEditor = false;
+        this.currentReplay = null;
+        
         // Show loading screen before starting
         this.showLoadingScreen('Preparing game...');
         
@@ -159,6 +457,7 @@ class UIController {
         setTimeout(() => {
             if (this.gameEngine.startGame()) {
                 // Switch to game screen
+                this.updateAutopilotBadge();
                 this.showScreen('game');
                 this.hideLoadingScreen();
             } else {
@@ -173,6 +472,7 @@ class UIController {
      * Pause the current game
      */
     pauseGame() {
+        this.gameEngine.inputHandler.releasePointerLock();
         this.gameEngine.pauseGame();
         this.gameUI.pauseMenu.style.display = 'flex';
     }
@@ -191,7 +491,58 @@ class UIController {
     restartGame() {
         this.gameUI.pauseMenu.style.display = 'none';
         this.showScreen('game');
-        this.gameEngine.startGame();
+        this.gameEngine.startGame(this.playStartTime, CONFIG.game.autoplay, this.currentReplay);
+        this.updateAutopilotBadge();
+    }
+
+    /**
+     * Play a replay back on the loaded track
+     * @param {Object} replay - Validated replay
+     */
+    watchReplay(replay) {
+        if (!replay) return;
+        
+        const problem = this.gameEngine.replayManager.getIncompatibility(replay);
+        if (problem) {
+            alert(problem);
+            return;
+        }
+        
+        this.currentReplay = replay;
+        this.playStartTime = replay.startTime;
+        this.returnToEditor = false;
+        this.gameUI.pauseMenu.style.display = 'none';
+        this.showScreen('game');
+        if (!this.gameEngine.startGame(replay.startTime, false, replay)) {
+            alert('Failed to start replay. Please try again.');
+            this.exitToMenu();
+        }
+        this.updateAutopilotBadge();
+    }
+
+    /**
+     * Watch a replay file
+     * @param {File} file - The selected replay file
+     */
+    importReplay(file) {
+        file.text()
+            .then(text => this.watchReplay(this.gameEngine.replayManager.parse(text)))
+            .catch(error => {
+                console.error('Error importing replay:', error);
+                alert(`Failed to import replay: ${error.message}`);
+            });
+    }
+
+    /**
+     * Download a replay
+     * @param {Object} replay - Replay to export
+     */
+    exportReplay(replay) {
+        if (!replay) return;
+        
+        const replayManager = this.gameEngine.replayManager;
+        const baseName = replay.audio.fileName.replace(/\.[^.]+$/, '');
+        this.downloadFile(`${baseName}.kuss-replay.json`, replayManager.stringify(replay), 'application/json');
     }
 
     /**
@@ -199,12 +550,149 @@ class UIController {
      */
     exitToMenu() {
         this.gameUI.pauseMenu.style.display = 'none';
-        this.showScreen('menu');
+        this.gameEngine.inputHandler.releasePointerLock();
         
         // End the current game
         if (this.gameEngine.isPlaying) {
             this.gameEngine.endGame();
         }
+        
+        if (this.returnToEditor) {
+            this.showEditor(true);
+        } else {
+            this.showScreen('menu');
+            this.updatePersonalBest();
+        }
+    }
+
+    /**
+     * Open the level editor on the loaded track's chart
+     * @param {boolean} keepChanges - Continue with the current working copy (after a test-play)
+     */
+    showEditor(keepChanges = false) {
+        const chart = this.gameEngine.getChart();
+        if (!chart) return;
+        
+        // The timeline sizes itself from the visible screen
+        this.showScreen('editor');
+        if (keepChanges) {
+            this.levelEditor.resume();
+        } else {
+            this.levelEditor.open(chart);
+        }
+    }
+
+    /**
+     * Rebuild the track from the editor's chart
+     */
+    applyEditorChart() {
+        if (this.gameEngine.loadChart(this.levelEditor.getChart())) {
+            this.levelEditor.isDirty = false;
+        }
+    }
+
+    /**
+     * Play the edited chart from the editor cursor
+     */
+    testPlayFromEditor() {
+        this.applyEditorChart();
+        this.playStartTime = this.levelEditor.cursorTime;
+        this.returnToEditor = true;
+        this.currentReplay = null;
+        this.levelEditor.close();
+        
+        this.showScreen('game');
+        if (!this.gameEngine.startGame(this.playStartTime)) {
+            alert('Failed to start game. Please try again.');
+            this.exitToMenu();
+        }
+        this.updateAutopilotBadge();
+    }
+
+    /**
+     * Check that every block of the edited chart can be collected
+     */
+    verifyEditorChart() {
+        this.applyEditorChart();
+        const report = this.gameEngine.autopilot.verify();
+        
+        if (report.collectible) {
+            alert(`All ${report.total} blocks can be collected.`);
+            return;
+        }
+        
+        // Jump to the first problem
+        this.levelEditor.setCursor(report.unreachable[0]);
+        this.levelEditor.scrollTo(report.unreachable[0] - 1);
+        
+        const times = report.unreachable.slice(0, 10).map(time => this.levelEditor.formatTime(time, true));
+        const more = report.unreachable.length > times.length ? ', ...' : '';
+        alert(`${report.reachable} of ${report.total} blocks can be collected in one run.\n` +
+            `Out of reach: ${times.join(', ')}${more}`);
+    }
+
+    /**
+     * Label the game screen when the autopilot is steering
+     */
+    updateAutopilotBadge() {
+        this.gameUI.autopilotBadge.textContent = this.gameEngine.isReplay ? 'Replay'
+            : !this.gameEngine.isAutopilot ? ''
+            : this.isDemo ? 'Demo · press any key' : 'Autoplay';
+    }
+
+    /**
+     * Restart the idle countdown to the attract mode demo
+     */
+    scheduleAttractMode() {
+        clearTimeout(this.attractTimer);
+        if (!CONFIG.autoplay.attractDelay) return;
+        
+        this.attractTimer = setTimeout(() => this.startAttractMode(), CONFIG.autoplay.attractDelay * 1000);
+    }
+
+    /**
+     * Let the autopilot play the loaded track as a demo
+     */
+    startAttractMode() {
+        // Only from an idle menu with a playable track
+        const optionsOpen = this.optionsMenu && this.optionsMenu.classList.contains('active');
+        const loading = this.screens.loading.style.display === 'flex';
+        if (!this.screens.menu.classList.contains('active') || optionsOpen || loading ||
+            this.menuUI.startButton.disabled) {
+            return;
+        }
+        
+        this.isDemo = true;
+        this.playStartTime = 0;
+        this.returnToEditor = false;
+        this.currentReplay = null;
+        this.showScreen('game');
+        if (this.gameEngine.startGame(0, true)) {
+            this.updateAutopilotBadge();
+        } else {
+            this.stopAttractMode();
+        }
+    }
+
+    /**
+     * End the demo and return to the menu
+     */
+    stopAttractMode() {
+        this.isDemo = false;
+        this.exitToMenu();
+        this.scheduleAttractMode();
+    }
+
+    /**
+     * Leave the editor, offering to keep unapplied changes
+     */
+    closeEditor() {
+        if (this.levelEditor.isDirty && confirm('Apply your changes to the track before leaving the editor?')) {
+            this.applyEditorChart();
+        }
+        this.levelEditor.close();
+        this.returnToEditor = false;
+        this.showScreen('menu');
     }
 
     /**
@@ -212,10 +700,351 @@ class UIController {
      * @param {number} finalScore - Final score to display
      */
     showResultsScreen(finalScore) {
+        this.gameEngine.inputHandler.releasePointerLock();
+        
+        // A finished demo goes straight back to the menu
+        if (this.isDemo) {
+            this.stopAttractMode();
+            return;
+        }
+        
+        const stats = this.gameEngine.scoreManager.getScoreStats();
         this.resultsUI.finalScore.textContent = finalScore.toLocaleString();
+        this.resultsUI.finalGrade.textContent = stats.grade;
+        this.resultsUI.finalGrade.className = `grade-${stats.grade.toLowerCase()}`;
+        this.resultsUI.finalAccuracy.textContent = `Accuracy: ${(stats.accuracy * 100).toFixed(1)}%`;
+        this.renderResultsBreakdown(stats);
+        this.showHighScores(finalScore, stats);
+        
+        // Offer the replay of the run just finished or watched
+        this.resultsReplay = this.gameEngine.isReplay ? this.currentReplay : this.gameEngine.replayManager.lastReplay;
+        this.resultsUI.watchReplayButton.disabled = !this.resultsReplay;
+        this.resultsUI.exportReplayButton.disabled = !this.resultsReplay;
+        this.resultsUI.finalDifficulty.textContent = this.gameEngine.getDifficulty().name;
+        this.resultsUI.finalSeed.textContent = `Seed: ${this.gameEngine.trackGenerator.seed}`;
         this.showScreen('results');
     }
 
+    /**
+     * Fill the results breakdown panel
+     * @param {Object} stats - ScoreManager.getScoreStats()
+     */
+    renderResultsBreakdown(stats) {
+        const rows = [
+            ['Perfect', stats.judgments.perfect],
+            ['Great', stats.judgments.great],
+            ['Good', stats.judgments.good],
+            ['Miss', stats.misses],
+            ['Hit ratio', `${(stats.hitRatio * 100).toFixed(1)}%`],
+            ['Max combo', stats.maxCombo],
+            ['Longest color chain', stats.maxColorChain],
+            ['Perfect color matches', stats.perfectMatches],
+            ['Track score', stats.score.toLocaleString()],
+            ['Combo bonus', `+${stats.bonuses.combo.toLocaleString()}`],
+            ['Color match bonus', `+${stats.bonuses.perfectMatches.toLocaleString()}`]
+        ];
+        
+        this.resultsUI.breakdown.innerHTML = rows
+            .map(([label, value]) => `<div class="breakdown-row"><span>${label}</span><span>${value}</span></div>`)
+            .join('');
+    }
+
+    /**
+     * Show the loaded level's high score table and offer name entry if the run made it
+     * @param {number} finalScore - Final score of the run
+     * @param {Object} stats - ScoreManager.getScoreStats()
+     */
+    showHighScores(finalScore, stats) {
+        const track = this.gameEngine.getScoreTrack();
+        this.pendingResult = null;
+        this.resultsUI.record.textContent = '';
+        this.resultsUI.highScoreEntry.style.display = 'none';
+        this.resultsUI.highScoreTable.innerHTML = '';
+        if (!track) return;
+        
+        const highScores = this.gameEngine.highScores;
+        const showTable = () => highScores.getScores(track).then(records => this.renderHighScores(records));
+        
+        // Only complete runs played by hand count
+        if (this.gameEngine.isReplay || this.gameEngine.isAutopilot || this.playStartTime > 0) {
+            this.resultsUI.record.textContent = this.gameEngine.isReplay ? 'Replays are not recorded'
+                : this.gameEngine.isAutopilot ? 'Autoplay runs are not recorded'
+                : 'Test runs are not recorded';
+            showTable();
+            return;
+        }
+        
+        highScores.check(track, finalScore).then(({ qualifies, isRecord }) => {
+            this.resultsUI.record.textContent = isRecord ? 'New record!' : '';
+            if (qualifies) {
+                this.pendingResult = {
+                    track,
+                    result: {
+                        score: finalScore,
+                        grade: stats.grade,
+                        accuracy: stats.accuracy,
+                        stats,
+                        replay: this.gameEngine.replayManager.lastReplay
+                    }
+                };
+                this.resultsUI.highScoreName.value = this.playerName;
+                this.resultsUI.highScoreEntry.style.display = 'flex';
+                this.resultsUI.highScoreName.focus();
+            }
+            return showTable();
+        });
+    }
+
+    /**
+     * Store the finished run under the entered name
+     */
+    saveHighScore() {
+        const pending = this.pendingResult;
+        if (!pending) return;
+        this.pendingResult = null;
+        
+        this.playerName = this.resultsUI.highScoreName.value.trim() || 'Player';
+        this.resultsUI.highScoreEntry.style.display = 'none';
+        
+        const highScores = this.gameEngine.highScores;
+        highScores.add(pending.track, Object.assign({ name: this.playerName }, pending.result))
+            .then(({ record }) => {
+                // A new best becomes the ghost for the next run
+                this.updatePersonalBest();
+                return highScores.getScores(pending.track)
+                    .then(records => this.renderHighScores(records, record.id));
+            });
+    }
+
+    /**
+     * Fill the high score table
+     * @param {Array} records - Score records, best first
+     * @param {string} highlightId - Record to highlight (the run just saved)
+     */
+    renderHighScores(records, highlightId = null) {
+        this.highScoreRecords = records;
+        if (!records.length) {
+            this.resultsUI.highScoreTable.innerHTML = '';
+            return;
+        }
+        
+        const rows = records.map((record, index) => `
+            <tr class="${record.id === highlightId ? 'highlight' : ''}">
+                <td>${index + 1}</td>
+                <td>${this.escapeHtml(record.name)}</td>
+                <td>${record.score.toLocaleString()}</td>
+                <td>${record.grade}</td>
+                <td>${(record.accuracy * 100).toFixed(1)}%</td>
+                <td>${new Date(record.date).toLocaleDateString()}</td>
+                <td>${record.replay ? `
+                    <button class="button table-button" data-replay="${index}">Watch</button>
+                    <button class="button table-button${this.ghostRecord && this.ghostRecord.id === record.id ? ' active' : ''}" data-ghost="${index}">Race</button>
+                ` : ''}</td>
+            </tr>
+        `).join('');
+        
+        this.resultsUI.highScoreTable.innerHTML = `
+            <table>
+                <thead>
+                    <tr><th>#</th><th>Name</th><th>Score</th><th>Grade</th><th>Accuracy</th><th>Date</th><th></th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Show the personal best of the loaded level on the menu
+     */
+    updatePersonalBest() {
+        const track = this.gameEngine.getScoreTrack();
+        const trackKey = track ? this.gameEngine.highScores.getTrackKey(track) : null;
+        this.menuUI.personalBest.textContent = '';
+        
+        // A ghost picked for another track or setting no longer applies
+        if (this.ghostRecord && this.ghostRecord.track !== trackKey) {
+            this.selectGhost(null, false);
+        }
+        if (!track) return;
+        
+        this.gameEngine.highScores.getBest(track).then(best => {
+            // Another track or setting may have been loaded meanwhile
+            const current = this.gameEngine.getScoreTrack();
+            if (!best || !current || this.gameEngine.highScores.getTrackKey(current) !== best.track) return;
+            
+            this.menuUI.personalBest.textContent =
+                `Best: ${best.score.toLocaleString()} (${best.grade}) · ${best.name}`;
+            if (!this.ghostPinned) {
+                this.selectGhost(best, false);
+            }
+        });
+    }
+
+    /**
+     * Choose the stored run the ghost races
+     * @param {Object|null} record - High score record with a replay, or null for none
+     * @param {boolean} pinned - Picked by the player (kept over the personal best)
+     */
+    selectGhost(record, pinned) {
+        this.ghostRecord = record && record.replay ? record : null;
+        this.ghostPinned = pinned && !!this.ghostRecord;
+        this.gameEngine.ghostRacer.setReplay(this.ghostRecord ? this.ghostRecord.replay : null);
+        
+        this.menuUI.ghost.textContent = this.ghostRecord && CONFIG.game.ghost
+            ? `Ghost: ${this.ghostRecord.name} · ${this.ghostRecord.score.toLocaleString()}`
+            : '';
+    }
+
+    /**
+     * Show how far the player is ahead of the ghost
+     * @param {number|null} delta - Score difference, or null without a ghost
+     */
+    updateGhostDelta(delta) {
+        const element = this.gameUI.ghostDelta;
+        if (!element) return;
+        
+        if (delta === null) {
+            element.textContent = '';
+            return;
+        }
+        
+        element.textContent = `${delta >= 0 ? '+' : '−'}${Math.abs(delta).toLocaleString()} vs ghost`;
+        element.className = delta >= 0 ? 'ahead' : 'behind';
+    }
+
+    /**
+     * Open the latency calibration screen
+     */
+    showCalibration() {
+        if (this.optionsMenu) {
+            this.optionsMenu.classList.remove('active');
+        }
+        
+        this.calibrationResult = null;
+        this.calibrationUI.applyButton.disabled = true;
+        this.calibrationUI.status.textContent = this.describeLatency();
+        this.showScreen('calibration');
+    }
+
+    /**
+     * Play the click track and follow the taps until it ends
+     */
+    startCalibration() {
+        const calibrator = this.latencyCalibrator;
+        if (!calibrator.start()) {
+            alert("Audio is not available in this browser, so latency can't be calibrated.");
+            return;
+        }
+        
+        // Space taps must not press the button again
+        this.calibrationUI.startButton.blur();
+        this.calibrationResult = null;
+        this.calibrationUI.applyButton.disabled = true;
+        
+        let lastClick = null;
+        const follow = () => {
+            if (!calibrator.isRunning) return;
+            
+            // Flash the pad as each click reaches the speakers
+            const click = calibrator.getLastHeardClick();
+            if (click !== lastClick) {
+                lastClick = click;
+                const pad = this.calibrationUI.pad;
+                pad.classList.remove('flash');
+                void pad.offsetWidth;
+                pad.classList.add('flash');
+            }
+            
+            const progress = calibrator.getProgress();
+            this.calibrationUI.status.textContent =
+                `Click ${progress.clicks} of ${progress.total} · ${progress.taps} taps`;
+            
+            if (progress.finished) {
+                this.finishCalibration();
+            } else {
+                requestAnimationFrame(follow);
+            }
+        };
+        requestAnimationFrame(follow);
+    }
+
+    /**
+     * Show the measured offset and offer to apply it
+     */
+    finishCalibration() {
+        const result = this.latencyCalibrator.getResult();
+        this.latencyCalibrator.stop();
+        this.calibrationResult = result;
+        
+        const ms = value => `${Math.round(value * 1000)} ms`;
+        this.calibrationUI.status.textContent = result.tapOffset === null
+            ? `Only ${result.taps} taps matched the clicks, so the browser's ${ms(result.reported)} is suggested. ` +
+              `Try again for a measurement.`
+            : `Measured ${ms(result.offset)}: the browser reports ${ms(result.reported)} and your taps ` +
+              `came ${ms(result.tapOffset)} after that (±${ms(result.spread)} over ${result.taps} taps).`;
+        this.calibrationUI.applyButton.disabled = false;
+    }
+
+    /**
+     * Apply and store a latency offset
+     * @param {number} offset - Offset in seconds
+     */
+    setLatencyOffset(offset) {
+        this.gameEngine.settings.set('audio', 'latencyOffset', Math.round(offset * 1000) / 1000);
+        this.calibrationResult = null;
+        this.calibrationUI.applyButton.disabled = true;
+        this.calibrationUI.status.textContent = this.describeLatency();
+    }
+
+    /**
+     * Describe the applied latency offset
+     * @returns {string} - Description
+     */
+    describeLatency() {
+        const ms = value => `${Math.round(value * 1000)} ms`;
+        return `Current offset: ${ms(CONFIG.audio.latencyOffset)} ` +
+            `(the browser reports ${ms(this.gameEngine.audioProcessor.getReportedLatency())})`;
+    }
+
+    /**
+     * Show or hide the timing overlay
+     */
+    toggleDebugOverlay() {
+        CONFIG.debug.overlay = !CONFIG.debug.overlay;
+        this.gameUI.debugOverlay.style.display = CONFIG.debug.overlay ? 'block' : 'none';
+        this.updateDebugOverlay();
+    }
+
+    /**
+     * Show the engine's clock readings and drift, if the timing overlay is on
+     */
+    updateDebugOverlay() {
+        if (!CONFIG.debug.overlay) return;
+        
+        const t = this.gameEngine.getTelemetry();
+        const ms = value => `${(value * 1000).toFixed(1)} ms`;
+        this.gameUI.debugOverlay.style.display = 'block';
+        this.gameUI.debugOverlay.textContent = [
+            `audio   ${t.audioTime.toFixed(3)} s (heard ${t.songTime.toFixed(3)} s)`,
+            `speed   ${t.speed.toFixed(2)}x points, ${ms(t.perfectWindow)} Perfect window`,
+            `sim     ${t.simTime.toFixed(3)} s (lag ${ms(t.stepLag)}, ${t.frameSteps} steps)`,
+            `drift   ${ms(t.clockDrift)} audio vs frame clock`,
+            `frame   ${ms(t.frameTime)}`,
+            `latency ${ms(t.latencyOffset)} applied, ${ms(t.reportedLatency)} reported`
+        ].join('\n');
+    }
+
+    /**
+     * Escape text for use in HTML markup
+     * @param {string} text - Text to escape
+     * @returns {string} - Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
     /**
      * Show the specified screen, hide others
      * @param {string} screenName - Name of screen to show ('menu', 'game', 'results')
@@ -234,14 +1063,157 @@ class UIController {
         }
     }
 
+    /**
+     * Get the part of the page gamepad navigation moves through
+     * @returns {HTMLElement} - Options menu, pause menu, loading overlay or active screen
+     */
+    getNavigationScope() {
+        if (this.optionsMenu && this.optionsMenu.classList.contains('active')) return this.optionsMenu;
+        if (this.gameUI.pauseMenu.style.display === 'flex') return this.gameUI.pauseMenu;
+        if (this.screens.loading && this.screens.loading.style.display === 'flex') return this.screens.loading;
+        
+        for (const key in this.screens) {
+            if (this.screens[key] && this.screens[key].classList.contains('active')) return this.screens[key];
+        }
+        return document.body;
+    }
+
+    /**
+     * Get the controls gamepad navigation can reach
+     * @returns {Array} - Visible, enabled controls in document order
+     */
+    getFocusableControls() {
+        const selector = 'button, select, input:not([type="hidden"]), label.button, [tabindex]:not([tabindex="-1"])';
+        return [...this.getNavigationScope().querySelectorAll(selector)]
+            .filter(control => !control.disabled && control.getClientRects().length > 0);
+    }
+
+    /**
+     * Move the focus to the nearest control in a direction
+     *
+     * Left and right adjust sliders and lists instead. Without a focused control the
+     * first one takes the focus.
+     * @param {string} direction - 'up', 'down', 'left' or 'right'
+     */
+    moveFocus(direction) {
+        const controls = this.getFocusableControls();
+        if (controls.length === 0) return;
+        
+        document.body.classList.add('gamepad-navigation');
+        const current = document.activeElement;
+        if (!controls.includes(current)) {
+            controls[0].focus();
+            return;
+        }
+        
+        if ((direction === 'left' || direction === 'right') &&
+            this.adjustControl(current, direction === 'right' ? 1 : -1)) {
+            return;
+        }
+        
+        // Closest control ahead, preferring ones in line with this one
+        const from = current.getBoundingClientRect();
+        const fromX = from.left + from.width / 2;
+        const fromY = from.top + from.height / 2;
+        let nearest = null;
+        let nearestScore = Infinity;
+        
+        controls.forEach(control => {
+            if (control === current) return;
+            
+            const rect = control.getBoundingClientRect();
+            const dx = rect.left + rect.width / 2 - fromX;
+            const dy = rect.top + rect.height / 2 - fromY;
+            const ahead = { up: -dy, down: dy, left: -dx, right: dx }[direction];
+            const aside = direction === 'up' || direction === 'down' ? Math.abs(dx) : Math.abs(dy);
+            if (ahead <= 1) return;
+            
+            const score = ahead + aside * 2;
+            if (score < nearestScore) {
+                nearest = control;
+                nearestScore = score;
+            }
+        });
+        
+        if (nearest) {
+            nearest.focus();
+            nearest.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    /**
+     * Step a slider or list with the gamepad
+     * @param {HTMLElement} control - Focused control
+     * @param {number} step - 1 for the next value, -1 for the previous one
+     * @returns {boolean} - True if the control took the step
+     */
+    adjustControl(control, step) {
+        if (control.type === 'range') {
+            if (step > 0) {
+                control.stepUp();
+            } else {
+                control.stepDown();
+            }
+            control.dispatchEvent(new Event('input'));
+            return true;
+        }
+        
+        if (control.tagName === 'SELECT') {
+            const index = THREE.MathUtils.clamp(control.selectedIndex + step, 0, control.options.length - 1);
+            if (index !== control.selectedIndex) {
+                control.selectedIndex = index;
+                control.dispatchEvent(new Event('change'));
+            }
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Press the focused control with the gamepad
+     */
+    activateFocus() {
+        const current = document.activeElement;
+        if (this.getFocusableControls().includes(current)) {
+            current.click();
+        } else {
+            this.moveFocus('down');
+        }
+    }
+
+    /**
+     * Leave the current menu with the gamepad
+     */
+    navigateBack() {
+        if (this.optionsMenu && this.optionsMenu.classList.contains('active')) {
+            document.getElementById('cancel-options').click();
+        } else if (this.gameUI.pauseMenu.style.display === 'flex') {
+            this.resumeGame();
+        } else if (this.screens.loading && this.screens.loading.style.display === 'flex') {
+            if (this.loadingUI.cancelButton.style.display !== 'none') {
+                this.cancelLoading();
+            }
+        } else if (this.screens.calibration.classList.contains('active')) {
+            this.calibrationUI.backButton.click();
+        } else if (this.screens.results.classList.contains('active')) {
+            this.resultsUI.menuButton.click();
+        } else if (this.screens.editor.classList.contains('active')) {
+            this.editorUI.closeButton.click();
+        }
+    }
+
     /**
      * Show the loading overlay
      * @param {string} message - Loading message to display
+     * @param {boolean} cancellable - Whether to offer a cancel button
      */
-    showLoadingScreen(message = 'Loading...') {
+    showLoadingScreen(message = 'Loading...', cancellable = false) {
         if (this.loadingUI.loadingText) {
             this.loadingUI.loadingText.textContent = message;
         }
+        if (this.loadingUI.cancelButton) {
+            this.loadingUI.cancelButton.style.display = cancellable ? 'block' : 'none';
+        }
         if (this.screens.loading) {
             this.screens.loading.style.display = 'flex';
         }
@@ -287,6 +1259,22 @@ class UIController {
         }
     }
 
+    /**
+     * Flash the judgment of a block
+     * @param {string} judgment - 'perfect', 'great', 'good' or 'miss'
+     */
+    showJudgment(judgment) {
+        const element = this.gameUI.judgment;
+        if (!element) return;
+        
+        element.textContent = judgment;
+        element.className = '';
+        
+        // Force a reflow so the animation restarts on repeated judgments
+        void element.offsetWidth;
+        element.className = `judgment-${judgment}`;
+    }
+
     /**
      * Update progress bar
      * @param {number} progress - Progress value (0-1)
@@ -308,12 +1296,177 @@ class UIController {
         return `${minutes}:${secs.toString().padStart(2, '0')}`;
     }
 
+    /**
+     * Describe the settings offered in the options menu
+     *
+     * Fields marked preview apply while the menu is open; fields marked rebuild change
+     * the level and regenerate the loaded track on save.
+     * @returns {Array} - Fields ({tab, section, key, label, type, ...})
+     */
+    getOptionFields() {
+        const percent = value => `${Math.round(value * 100)}%`;
+        return [
+            { tab: 'gameplay', section: 'game', key: 'difficulty', label: 'Difficulty', type: 'select', rebuild: true,
+              options: Object.keys(CONFIG.difficulties).map(key => [key, CONFIG.difficulties[key].name]) },
+            { tab: 'gameplay', section: 'game', key: 'speed', label: 'Game Speed', type: 'range', rebuild: true,
+              min: 0.5, max: 1.5, step: 0.05, format: value => `×${value.toFixed(2)}` },
+            { tab: 'gameplay', section: 'game', key: 'laneCount', label: 'Lanes', type: 'select', rebuild: true,
+              numeric: true, options: [2, 3, 4, 5].map(count => [count, `${count} lanes`]) },
+            { tab: 'gameplay', section: 'game', key: 'seed', label: 'Track Seed', type: 'seed', rebuild: true },
+            { tab: 'gameplay', section: 'game', key: 'autoplay', label: 'Autoplay', type: 'checkbox',
+              text: 'Let the autopilot steer' },
+            { tab: 'gameplay', section: 'game', key: 'ghost', label: 'Ghost', type: 'checkbox',
+              text: 'Race the ghost of a stored run' },
+            { tab: 'audio', section: 'audio', key: 'volume', label: 'Volume', type: 'range', preview: true,
+              min: 0, max: 1, step: 0.05, format: percent },
+            { tab: 'visuals', section: 'visuals', key: 'bloomIntensity', label: 'Bloom', type: 'range', preview: true,
+              min: 0, max: 3, step: 0.1, format: value => value.toFixed(1) },
+            { tab: 'visuals', section: 'visuals', key: 'fogDensity', label: 'Fog', type: 'range', preview: true,
+              min: 0, max: 0.05, step: 0.001, format: value => percent(value / 0.05) },
+            { tab: 'visuals', section: 'visuals', key: 'particleCount', label: 'Stars', type: 'range', preview: true,
+              min: 0, max: 10000, step: 500, format: value => value.toLocaleString() },
+            { tab: 'visuals', section: 'mobile', key: 'performanceMode', label: 'Performance Mode', type: 'checkbox',
+              preview: true, text: 'Fewer stars and lower resolution on mobile devices' },
+            { tab: 'controls', section: 'game', key: 'steering', label: 'Steering', type: 'select',
+              options: [['lanes', 'Snap to Lanes'], ['free', 'Free Steering']] },
+            { tab: 'controls', section: 'game', key: 'sensitivity', label: 'Sensitivity', type: 'range',
+              min: 0.5, max: 2, step: 0.1, format: value => `×${value.toFixed(1)}` },
+            { tab: 'controls', section: 'pointer', key: 'steering', label: 'Mouse Steering', type: 'checkbox',
+              text: 'Steer towards the cursor after clicking the game; middle and right buttons and the wheel set the speed' },
+            { tab: 'controls', section: 'pointer', key: 'lock', label: 'Pointer Lock', type: 'checkbox',
+              text: 'Capture the cursor while playing (Esc releases it and pauses)' },
+            { tab: 'controls', section: 'gamepad', key: 'rumble', label: 'Gamepad Rumble', type: 'checkbox',
+              text: 'Rumble on collecting blocks and misses' },
+            { tab: 'controls', section: 'mobile', key: 'touchScheme', label: 'Touch Controls', type: 'select',
+              options: [['swipe', 'Swipe'], ['halves', 'Tap Left / Right'], ['zones', 'Lane Zones']] },
+            { tab: 'controls', section: 'mobile', key: 'touchSensitivity', label: 'Swipe Sensitivity', type: 'range',
+              min: 0.5, max: 3, step: 0.1, format: value => `×${value.toFixed(1)}` },
+            { tab: 'controls', section: 'mobile', key: 'speedButtons', label: 'Speed Buttons', type: 'checkbox',
+              preview: true, text: 'Show faster and slower buttons on touch screens' },
+            { tab: 'controls', section: 'mobile', key: 'vibrationEnabled', label: 'Vibration', type: 'checkbox',
+              text: 'Vibrate on collecting blocks' }
+        ];
+    }
+
+    /**
+     * Build the markup of an option field
+     * @param {Object} field - Option field
+     * @returns {string} - HTML
+     */
+    renderOptionField(field) {
+        const id = `option-${field.section}-${field.key}`;
+        let control;
+        switch (field.type) {
+            case 'select':
+                control = `<select id="${id}">${field.options.map(([value, label]) =>
+                    `<option value="${value}">${label}</option>`).join('')}</select>`;
+                break;
+            case 'checkbox':
+                control = `<label class="option-toggle"><input type="checkbox" id="${id}"> ${field.text}</label>`;
+                break;
+            case 'range':
+                control = `<input type="range" id="${id}" min="${field.min}" max="${field.max}" step="${field.step}">` +
+                    `<span id="${id}-value" class="option-value"></span>`;
+                break;
+            default:
+                control = `<input type="text" id="${id}" placeholder="Automatic (from audio)">`;
+        }
+        
+        return `
+            <div class="option-group">
+                <h3>${field.label}</h3>
+                <div class="option-controls">${control}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Read the value of an option field from its control
+     * @param {Object} field - Option field
+     * @returns {*} - Value
+     */
+    readOptionField(field) {
+        const control = document.getElementById(`option-${field.section}-${field.key}`);
+        switch (field.type) {
+            case 'checkbox':
+                return control.checked;
+            case 'range':
+                return parseFloat(control.value);
+            case 'seed':
+                return SeededRandom.parseSeed(control.value);
+            default:
+                return field.numeric ? Number(control.value) : control.value;
+        }
+    }
+
+    /**
+     * Show a value in an option field's control
+     * @param {Object} field - Option field
+     * @param {*} value - Value
+     */
+    writeOptionField(field, value) {
+        const id = `option-${field.section}-${field.key}`;
+        const control = document.getElementById(id);
+        if (field.type === 'checkbox') {
+            control.checked = value;
+        } else {
+            control.value = value !== null ? value : '';
+        }
+        
+        if (field.type === 'range') {
+            document.getElementById(`${id}-value`).textContent = field.format(value);
+        }
+    }
+
+    /**
+     * Apply a field's control value while the menu is open, where it can be seen or heard
+     * @param {Object} field - Option field
+     */
+    previewOptionField(field) {
+        const value = this.readOptionField(field);
+        this.writeOptionField(field, value);
+        if (!field.preview) return;
+        
+        CONFIG[field.section][field.key] = value;
+        this.gameEngine.applySettings();
+        
+        // Let the player hear the new volume
+        const audioProcessor = this.gameEngine.audioProcessor;
+        if (field.key === 'volume' && audioProcessor.ensureContext()) {
+            audioProcessor.playClick(audioProcessor.audioContext.currentTime);
+        }
+    }
+
+    /**
+     * Switch the options menu to a tab
+     * @param {string} tab - Tab name
+     */
+    showOptionsTab(tab) {
+        this.optionsTab = tab;
+        this.optionsMenu.querySelectorAll('[data-tab]').forEach(element => {
+            element.classList.toggle('active', element.dataset.tab === tab);
+        });
+    }
+
     /**
      * Show options menu
      */
     showOptionsMenu() {
         // Create options menu if it doesn't exist yet
         if (!this.optionsMenu) {
+            this.optionFields = this.getOptionFields();
+            const tabs = [
+                ['gameplay', 'Gameplay'],
+                ['audio', 'Audio'],
+                ['visuals', 'Visuals'],
+                ['controls', 'Controls'],
+                ['data', 'Data']
+            ];
+            const fieldsOf = tab => this.optionFields
+                .filter(field => field.tab === tab)
+                .map(field => this.renderOptionField(field))
+                .join('');
+            
             this.optionsMenu = document.createElement('div');
             this.optionsMenu.id = 'options-menu';
             this.optionsMenu.className = 'screen';
@@ -321,19 +1474,64 @@ class UIController {
             this.optionsMenu.innerHTML = `
                 <h2>Options</h2>
                 
-                <div class="option-group">
-                    <h3>Keyboard Layout</h3>
-                    <div class="option-controls">
-                        <select id="keyboard-layout">
-                            <option value="arrows">Arrow Keys</option>
-                            <option value="wasd">WASD (QWERTY)</option>
-                            <option value="zqsd">ZQSD (AZERTY)</option>
-                        </select>
+                <div class="option-tabs">
+                    ${tabs.map(([tab, name]) =>
+                        `<button class="button option-tab" data-tab="${tab}">${name}</button>`
+                    ).join('')}
+                </div>
+                
+                <div class="option-page" data-tab="gameplay">${fieldsOf('gameplay')}</div>
+                
+                <div class="option-page" data-tab="audio">
+                    ${fieldsOf('audio')}
+                    <div class="option-group">
+                        <h3>Audio Latency</h3>
+                        <div class="option-controls">
+                            <span id="latency-offset" class="option-value"></span>
+                            <button id="calibrate-latency" class="button">Calibrate</button>
+                        </div>
+                    </div>
+                </div>
+                
+                <div class="option-page" data-tab="visuals">${fieldsOf('visuals')}</div>
+                
+                <div class="option-page" data-tab="controls">
+                    <div class="option-group key-bindings">
+                        <h3>Keyboard</h3>
+                        <div class="option-controls">
+                            <select id="key-profile"></select>
+                            <button id="new-key-profile" class="button table-button">New</button>
+                            <button id="delete-key-profile" class="button table-button">Delete</button>
+                        </div>
+                        <table id="key-binding-table"></table>
+                        <div id="key-binding-status"></div>
+                    </div>
+                    <div class="option-group gamepad-bindings">
+                        <h3>Gamepad</h3>
+                        <div class="option-controls">
+                            <select id="gamepad-select"></select>
+                            <button id="reset-gamepad-profile" class="button table-button">Reset</button>
+                        </div>
+                        <div id="gamepad-mapping"></div>
+                        <table id="gamepad-binding-table"></table>
+                        <div id="gamepad-binding-status"></div>
+                    </div>
+                    ${fieldsOf('controls')}
+                </div>
+                
+                <div class="option-page" data-tab="data">
+                    <div class="option-group">
+                        <h3>Analysis Cache</h3>
+                        <div class="option-controls">
+                            <span id="cache-usage" class="option-value"></span>
+                            <button id="clear-cache" class="button">Clear Cache</button>
+                        </div>
                     </div>
                 </div>
                 
                 <div class="option-buttons">
                     <button id="save-options" class="button primary-button">Save</button>
+                    <button id="reset-options" class="button">Reset to Defaults</button>
                     <button id="cancel-options" class="button">Cancel</button>
                 </div>
             `;
@@ -342,28 +1540,434 @@ class UIController {
             document.getElementById('game-container').appendChild(this.optionsMenu);
             
             // Set up event handlers
+            this.optionsMenu.querySelectorAll('.option-tab').forEach(button => {
+                button.addEventListener('click', () => this.showOptionsTab(button.dataset.tab));
+            });
+            
+            this.optionFields.forEach(field => {
+                const control = document.getElementById(`option-${field.section}-${field.key}`);
+                control.addEventListener(field.type === 'range' ? 'input' : 'change', () => {
+                    this.previewOptionField(field);
+                });
+            });
+            
+            this.initKeyBindingEditor();
+            this.initGamepadEditor();
+            
             document.getElementById('save-options').addEventListener('click', () => {
-                // Save keyboard layout
-                CONFIG.keyboard.currentLayout = document.getElementById('keyboard-layout').value;
+                const settings = this.gameEngine.settings;
+                this.optionFields.forEach(field => {
+                    settings.set(field.section, field.key, this.readOptionField(field));
+                });
+                settings.set('keyboard', 'customProfiles', this.bindingsDraft.customProfiles);
+                settings.set('keyboard', 'currentProfile', this.keyProfileDraft);
+                settings.set('gamepad', 'customProfiles', this.gamepadDraft.customProfiles);
+                this.gameEngine.inputHandler.updateBindings();
+                this.gameEngine.applySettings();
+                
+                // Rebuild the loaded track if the level settings changed
+                this.selectGhost(this.ghostRecord, this.ghostPinned);
+                this.gameEngine.regenerateTrack();
+                this.updatePersonalBest();
+                
                 this.hideOptionsMenu();
             });
             
+            document.getElementById('reset-options').addEventListener('click', () => {
+                const settings = this.gameEngine.settings;
+                this.optionFields.forEach(field => {
+                    this.writeOptionField(field, settings.getDefault(field.section, field.key));
+                    this.previewOptionField(field);
+                });
+                
+                // Built-in key profiles lose their edits; the player's own profiles stay
+                this.bindingsDraft.getProfileIds()
+                    .filter(id => this.bindingsDraft.isBuiltIn(id))
+                    .forEach(id => this.bindingsDraft.deleteProfile(id));
+                this.keyProfileDraft = settings.getDefault('keyboard', 'currentProfile');
+                this.renderKeyBindings();
+                
+                this.gamepadDraft = new GamepadProfiles({});
+                this.renderGamepadBindings();
+            });
+            
             document.getElementById('cancel-options').addEventListener('click', () => {
+                // Undo the preview
+                this.optionFields.forEach((field, index) => {
+                    CONFIG[field.section][field.key] = this.optionValues[index];
+                });
+                this.gameEngine.applySettings();
                 this.hideOptionsMenu();
             });
+            
+            document.getElementById('calibrate-latency').addEventListener('click', () => {
+                this.showCalibration();
+            });
+            
+            document.getElementById('clear-cache').addEventListener('click', () => {
+                this.gameEngine.analysisCache.clear()
+                    .catch(error => console.warn('Failed to clear analysis cache:', error))
+                    .then(() => {
+                        this.menuUI.cacheStatus.textContent = '';
+                        this.updateCacheUsage();
+                    });
+            });
         }
         
-        // Set current values
-        document.getElementById('keyboard-layout').value = CONFIG.keyboard.currentLayout;
+        // Set current values, remembered so Cancel can undo the preview
+        this.optionValues = this.optionFields.map(field => CONFIG[field.section][field.key]);
+        this.bindingsDraft = new KeyBindings(JSON.parse(JSON.stringify(CONFIG.keyboard.customProfiles)));
+        this.keyProfileDraft = CONFIG.keyboard.currentProfile;
+        this.bindingAction = null;
+        this.keyBindingStatus = '';
+        this.renderKeyBindings();
+        this.gamepadDraft = new GamepadProfiles(JSON.parse(JSON.stringify(CONFIG.gamepad.customProfiles)));
+        this.gamepadAction = null;
+        this.gamepadBindingStatus = '';
+        this.renderGamepadBindings();
+        this.optionFields.forEach((field, index) => this.writeOptionField(field, this.optionValues[index]));
+        document.getElementById('latency-offset').textContent = `${Math.round(CONFIG.audio.latencyOffset * 1000)} ms`;
+        this.updateCacheUsage();
+        this.showOptionsTab(this.optionsTab || 'gameplay');
         
         // Show the menu
         this.optionsMenu.classList.add('active');
     }
 
+    /**
+     * Set up the key binding editor of the options menu
+     *
+     * Changes go to a draft of the profiles that Save stores and Cancel drops.
+     */
+    initKeyBindingEditor() {
+        document.getElementById('key-profile').addEventListener('change', (e) => {
+            this.keyProfileDraft = e.target.value;
+            this.bindingAction = null;
+            this.keyBindingStatus = '';
+            this.renderKeyBindings();
+        });
+        
+        document.getElementById('new-key-profile').addEventListener('click', () => {
+            const name = prompt('Name of the new profile:', 'My Keys');
+            if (!name || !name.trim()) return;
+            
+            this.keyProfileDraft = this.bindingsDraft.createProfile(name.trim().slice(0, 24), this.keyProfileDraft);
+            this.keyBindingStatus = '';
+            this.renderKeyBindings();
+        });
+        
+        document.getElementById('delete-key-profile').addEventListener('click', () => {
+            const id = this.keyProfileDraft;
+            this.bindingsDraft.deleteProfile(id);
+            if (!this.bindingsDraft.isBuiltIn(id)) {
+                this.keyProfileDraft = this.gameEngine.settings.getDefault('keyboard', 'currentProfile');
+            }
+            this.keyBindingStatus = '';
+            this.renderKeyBindings();
+        });
+        
+        // Remove a key, or wait for the key to add
+        document.getElementById('key-binding-table').addEventListener('click', (e) => {
+            const keyButton = e.target.closest('[data-code]');
+            const bindButton = e.target.closest('[data-bind]');
+            if (keyButton) {
+                this.bindingsDraft.unbind(this.keyProfileDraft, keyButton.dataset.action, keyButton.dataset.code);
+                this.keyBindingStatus = '';
+            } else if (bindButton) {
+                const action = bindButton.dataset.bind;
+                this.bindingAction = this.bindingAction === action ? null : action;
+                this.keyBindingStatus = this.bindingAction ? 'Press the key to bind (click again to cancel)' : '';
+            } else {
+                return;
+            }
+            this.renderKeyBindings();
+        });
+        
+        // Catch the key before the game sees it
+        window.addEventListener('keydown', (e) => {
+            if (!this.bindingAction) return;
+            e.preventDefault();
+            e.stopImmediatePropagation();
+            
+            const action = this.bindingAction;
+            const bindings = this.bindingsDraft;
+            const actions = CONFIG.keyboard.actions;
+            const result = bindings.bind(this.keyProfileDraft, action, e.code);
+            const keyName = bindings.getKeyName(e.code);
+            
+            this.bindingAction = null;
+            this.keyBindingStatus = result.conflict
+                ? `${keyName} moved from ${actions[result.conflict]} to ${actions[action]}.`
+                : `${keyName} bound to ${actions[action]}.`;
+            if (result.dropped) {
+                this.keyBindingStatus += ` ${bindings.getKeyName(result.dropped)} was unbound ` +
+                    `(${bindings.maxBindings} keys per action at most).`;
+            }
+            this.renderKeyBindings();
+        }, true);
+    }
+
+    /**
+     * Show the keys of the selected profile in the options menu
+     */
+    renderKeyBindings() {
+        const bindings = this.bindingsDraft;
+        const id = this.keyProfileDraft;
+        const profile = bindings.getProfile(id);
+        const isBuiltIn = bindings.isBuiltIn(id);
+        const isEdited = isBuiltIn && id in bindings.customProfiles;
+        
+        const select = document.getElementById('key-profile');
+        this.setSelectOptions(select, bindings.getProfileIds().map(profileId => {
+            const edited = bindings.isBuiltIn(profileId) && profileId in bindings.customProfiles;
+            return { value: profileId, text: bindings.getProfile(profileId).name + (edited ? ' (edited)' : '') };
+        }));
+        select.value = id;
+        
+        const deleteButton = document.getElementById('delete-key-profile');
+        deleteButton.textContent = isBuiltIn ? 'Reset' : 'Delete';
+        deleteButton.disabled = isBuiltIn && !isEdited;
+        
+        const actions = CONFIG.keyboard.actions;
+        const table = document.getElementById('key-binding-table');
+        const focusedAction = this.getFocusedBindingAction(table);
+        table.innerHTML = Object.keys(actions).map(action => {
+            const keys = profile.bindings[action] || [];
+            const keyButtons = keys.map(code =>
+                `<button class="button table-button" data-action="${action}" data-code="${code}" ` +
+                `title="Remove">${this.escapeHtml(bindings.getKeyName(code))} ×</button>`
+            ).join('');
+            const addButton = `<button class="button table-button${this.bindingAction === action ? ' active' : ''}" ` +
+                `data-bind="${action}" title="Add a key">${this.bindingAction === action ? 'Press a key…' : '+'}</button>`;
+            
+            return `
+                <tr class="${keys.length ? '' : 'unbound'}">
+                    <td>${actions[action]}</td>
+                    <td>${keyButtons}${addButton}</td>
+                </tr>
+            `;
+        }).join('');
+        this.restoreBindingFocus(table, focusedAction);
+        
+        document.getElementById('key-binding-status').textContent = this.keyBindingStatus;
+    }
+
+    /**
+     * Replace the options of a select; values and labels are set as text, so ids from
+     * the player or the browser can't break the markup
+     * @param {HTMLSelectElement} select - Select element
+     * @param {Array} options - Options ({value, text})
+     */
+    setSelectOptions(select, options) {
+        select.replaceChildren(...options.map(({ value, text }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            return option;
+        }));
+    }
+
+    /**
+     * Get the action of the focused button in a binding table, before the table is redrawn
+     * @param {HTMLElement} table - Binding table
+     * @returns {string|null} - Action name
+     */
+    getFocusedBindingAction(table) {
+        const focused = document.activeElement;
+        return table.contains(focused) ? focused.dataset.bind || focused.dataset.action : null;
+    }
+
+    /**
+     * Give the focus back to the row it was on after a binding table is redrawn
+     * @param {HTMLElement} table - Binding table
+     * @param {string|null} action - Action name
+     */
+    restoreBindingFocus(table, action) {
+        const addButton = action && table.querySelector(`[data-bind="${action}"]`);
+        if (addButton) {
+            addButton.focus();
+        }
+    }
+
+    /**
+     * Get the connected controllers
+     * @returns {Array} - Gamepad objects
+     */
+    getConnectedGamepads() {
+        if (!('getGamepads' in navigator)) return [];
+        return [...navigator.getGamepads()].filter(gamepad => gamepad);
+    }
+
+    /**
+     * Set up the gamepad mapping editor of the options menu
+     *
+     * Like the key bindings, changes go to a draft that Save stores.
+     */
+    initGamepadEditor() {
+        document.getElementById('gamepad-select').addEventListener('change', () => {
+            this.cancelGamepadCapture();
+            this.gamepadBindingStatus = '';
+            this.renderGamepadBindings();
+        });
+        
+        document.getElementById('reset-gamepad-profile').addEventListener('click', () => {
+            this.cancelGamepadCapture();
+            this.gamepadDraft.resetProfile(document.getElementById('gamepad-select').value);
+            this.gamepadBindingStatus = '';
+            this.renderGamepadBindings();
+        });
+        
+        // Remove a button, or wait for the button to add
+        document.getElementById('gamepad-binding-table').addEventListener('click', (e) => {
+            const gamepad = this.getSelectedGamepad();
+            const removeButton = e.target.closest('[data-button]');
+            const bindButton = e.target.closest('[data-bind]');
+            if (!gamepad) return;
+            
+            if (removeButton) {
+                this.gamepadDraft.unbind(gamepad.id, gamepad.mapping, removeButton.dataset.action,
+                    Number(removeButton.dataset.button));
+                this.gamepadBindingStatus = '';
+            } else if (bindButton) {
+                const action = bindButton.dataset.bind;
+                if (this.gamepadAction === action) {
+                    this.cancelGamepadCapture();
+                    this.gamepadBindingStatus = '';
+                } else {
+                    this.gamepadAction = action;
+                    this.gamepadBindingStatus = 'Press the button to bind on the controller (click again to cancel)';
+                    this.gameEngine.inputHandler.captureButton(gamepad.id, button => {
+                        this.bindGamepadButton(gamepad, action, button);
+                    });
+                }
+            } else {
+                return;
+            }
+            this.renderGamepadBindings();
+        });
+        
+        // Controllers show up once a button is pressed on them
+        window.addEventListener('gamepadconnected', () => this.renderGamepadBindings());
+        window.addEventListener('gamepaddisconnected', () => this.renderGamepadBindings());
+    }
+
+    /**
+     * Get the controller picked in the gamepad mapping editor
+     * @returns {Gamepad|null} - Gamepad object, or null if none is connected
+     */
+    getSelectedGamepad() {
+        const padId = document.getElementById('gamepad-select').value;
+        return this.getConnectedGamepads().find(gamepad => gamepad.id === padId) || null;
+    }
+
+    /**
+     * Bind the button pressed while remapping
+     * @param {Gamepad} gamepad - Controller remapped
+     * @param {string} action - Action name
+     * @param {number} button - Button index
+     */
+    bindGamepadButton(gamepad, action, button) {
+        const profiles = this.gamepadDraft;
+        const actions = CONFIG.gamepad.actions;
+        const result = profiles.bind(gamepad.id, gamepad.mapping, action, button);
+        const buttonName = profiles.getButtonName(button, gamepad.mapping);
+        
+        this.gamepadAction = null;
+        this.gamepadBindingStatus = result.conflict
+            ? `${buttonName} moved from ${actions[result.conflict]} to ${actions[action]}.`
+            : `${buttonName} bound to ${actions[action]}.`;
+        if (result.dropped !== null) {
+            this.gamepadBindingStatus += ` ${profiles.getButtonName(result.dropped, gamepad.mapping)} was unbound ` +
+                `(${profiles.maxBindings} buttons per action at most).`;
+        }
+        this.renderGamepadBindings();
+    }
+
+    /**
+     * Stop waiting for a button to remap
+     */
+    cancelGamepadCapture() {
+        this.gamepadAction = null;
+        this.gameEngine.inputHandler.cancelButtonCapture();
+    }
+
+    /**
+     * Show the connected controllers and the buttons of the selected one in the options menu
+     */
+    renderGamepadBindings() {
+        if (!this.gamepadDraft) return;
+        
+        const select = document.getElementById('gamepad-select');
+        const gamepads = this.getConnectedGamepads();
+        const selectedId = select.value;
+        this.setSelectOptions(select, gamepads.length
+            ? gamepads.map(gamepad => ({ value: gamepad.id, text: gamepad.id }))
+            : [{ value: '', text: 'No controller found' }]);
+        if (gamepads.some(gamepad => gamepad.id === selectedId)) {
+            select.value = selectedId;
+        }
+        
+        const gamepad = this.getSelectedGamepad();
+        const mappingLabel = document.getElementById('gamepad-mapping');
+        const table = document.getElementById('gamepad-binding-table');
+        document.getElementById('reset-gamepad-profile').disabled = !gamepad || !this.gamepadDraft.isCustom(gamepad.id);
+        
+        if (!gamepad) {
+            mappingLabel.textContent = 'Connect a controller and press one of its buttons.';
+            table.innerHTML = '';
+            document.getElementById('gamepad-binding-status').textContent = '';
+            return;
+        }
+        
+        const profiles = this.gamepadDraft;
+        const profile = profiles.getProfile(gamepad.id, gamepad.mapping);
+        mappingLabel.textContent = (gamepad.mapping === 'standard'
+            ? 'Standard layout'
+            : 'Unknown layout: set up the buttons below') +
+            (profiles.isCustom(gamepad.id) ? ' (remapped)' : '');
+        
+        const actions = CONFIG.gamepad.actions;
+        const focusedAction = this.getFocusedBindingAction(table);
+        table.innerHTML = Object.keys(actions).map(action => {
+            const buttons = profile.buttons[action] || [];
+            const removeButtons = buttons.map(button =>
+                `<button class="button table-button" data-action="${action}" data-button="${button}" ` +
+                `title="Remove">${profiles.getButtonName(button, gamepad.mapping)} ×</button>`
+            ).join('');
+            const addButton = `<button class="button table-button${this.gamepadAction === action ? ' active' : ''}" ` +
+                `data-bind="${action}" title="Add a button">${this.gamepadAction === action ? 'Press a button…' : '+'}</button>`;
+            
+            return `
+                <tr class="${buttons.length ? '' : 'unbound'}">
+                    <td>${actions[action]}</td>
+                    <td>${removeButtons}${addButton}</td>
+                </tr>
+            `;
+        }).join('');
+        this.restoreBindingFocus(table, focusedAction);
+        
+        document.getElementById('gamepad-binding-status').textContent = this.gamepadBindingStatus;
+    }
+
+    /**
+     * Show how much the analysis cache holds in the options menu
+     */
+    updateCacheUsage() {
+        const usageLabel = document.getElementById('cache-usage');
+        if (!usageLabel) return;
+        
+        this.gameEngine.analysisCache.getUsage().then(usage => {
+            const megabytes = (usage.bytes / (1024 * 1024)).toFixed(1);
+            usageLabel.textContent = `${usage.entries} track${usage.entries === 1 ? '' : 's'} · ${megabytes} MB`;
+        });
+    }
+
     /**
      * Hide options menu
      */
     hideOptionsMenu() {
+        this.bindingAction = null;
+        this.cancelGamepadCapture();
         if (this.optionsMenu) {
             this.optionsMenu.classList.remove('active');
         }
@@ -0,0 +1,45 @@
+/**
+ * Analysis worker - Runs AnalysisPipeline off the main thread
+ *
+ * Messages in:  {type: 'analyze', config, channels, sampleRate, resolution}
+ * Messages out: {type: 'progress', progress} | {type: 'complete', analysisResults, beatGrid}
+ *               | {type: 'error', message}
+ */
+importScripts(
+    '../modules/spectralAnalyzer.js',
+    '../modules/onsetDetector.js',
+    '../modules/tempoEstimator.js',
+    '../modules/analysisPipeline.js'
+);
+
+// Points analyzed between progress messages
+const BATCH_SIZE = 50;
+
+self.onmessage = (event) => {
+    const message = event.data;
+    if (message.type !== 'analyze') return;
+
+    try {
+        // Use the page's configuration rather than a stale copy
+        self.CONFIG = message.config;
+
+        const pipeline = new AnalysisPipeline(message.channels, message.sampleRate, message.resolution);
+
+        while (!pipeline.isComplete()) {
+            const progress = pipeline.processNext(BATCH_SIZE);
+            self.postMessage({ type: 'progress', progress });
+        }
+
+        const { analysisResults, beatGrid } = pipeline.finish();
+
+        // Hand the byte arrays over without copying them
+        const transfer = [];
+        for (const result of analysisResults) {
+            transfer.push(result.frequencyData.buffer, result.timeData.buffer);
+        }
+
+        self.postMessage({ type: 'complete', analysisResults, beatGrid }, transfer);
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};